@@ -0,0 +1,372 @@
+import db, { getOrCreatePlayer, getTournamentData, MATCH_SELECT, formatMatch, formatSeason } from './index.js';
+import { normalizeScoringRules } from '../../src/modules/scoring.js';
+import { normalizeRatingConfig } from '../utils/rating-config.js';
+import { httpError } from '../utils/errors.js';
+
+// Функции записи для админского API.
+// Каждая операция выполняется в транзакции; при отсутствии записи возвращается null.
+
+// === Сезоны ===
+
+export function getSeason(seasonId) {
+  const season = db.prepare('SELECT * FROM seasons WHERE id = ?').get(seasonId);
+  return season ? formatSeason(season) : null;
+}
+
+// Правила очков хранятся полностью (с умолчаниями); null — правила по умолчанию
+function scoringRulesJson(rules) {
+  return rules ? JSON.stringify(normalizeScoringRules(rules)) : null;
+}
+
+// Настройки Elo — так же: полностью или null
+function ratingConfigJson(config) {
+  return config ? JSON.stringify(normalizeRatingConfig(config)) : null;
+}
+
+export function createSeason({ name, year, scoring_rules, stages, best_stages, tiebreakers, rating_config }) {
+  const result = db.prepare(`
+    INSERT INTO seasons (name, year, scoring_rules, stages, best_stages, tiebreakers, rating_config)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    name, year, scoringRulesJson(scoring_rules), stages ? JSON.stringify(stages) : null, best_stages ?? null,
+    tiebreakers ? JSON.stringify(tiebreakers) : null, ratingConfigJson(rating_config)
+  );
+  return getSeason(result.lastInsertRowid);
+}
+
+export function updateSeason(seasonId, fields) {
+  return db.transaction(() => {
+    const season = db.prepare('SELECT * FROM seasons WHERE id = ?').get(seasonId);
+    if (!season) return null;
+
+    db.prepare(`
+      UPDATE seasons SET name = ?, year = ?, scoring_rules = ?, stages = ?, best_stages = ?, tiebreakers = ?,
+        rating_config = ?
+      WHERE id = ?
+    `).run(
+      fields.name ?? season.name,
+      fields.year ?? season.year,
+      fields.scoring_rules === undefined ? season.scoring_rules : scoringRulesJson(fields.scoring_rules),
+      // null возвращает структуру по умолчанию
+      fields.stages === undefined ? season.stages : (fields.stages ? JSON.stringify(fields.stages) : null),
+      fields.best_stages === undefined ? season.best_stages : fields.best_stages,
+      fields.tiebreakers === undefined ? season.tiebreakers : (fields.tiebreakers ? JSON.stringify(fields.tiebreakers) : null),
+      fields.rating_config === undefined ? season.rating_config : ratingConfigJson(fields.rating_config),
+      seasonId
+    );
+    return getSeason(seasonId);
+  })();
+}
+
+export function deleteSeason(seasonId) {
+  return db.transaction(() => {
+    const season = getSeason(seasonId);
+    if (!season) return null;
+
+    const tournaments = db.prepare('SELECT id FROM tournaments WHERE season_id = ?').all(seasonId);
+    for (const t of tournaments) {
+      removeTournament(t.id);
+    }
+    db.prepare('DELETE FROM seasons WHERE id = ?').run(seasonId);
+    return season;
+  })();
+}
+
+// === Турниры ===
+
+// Название этапа по структуре сезона (для номера вне структуры — «N этап» / «Финал»)
+export function getStageName(season, stageNumber) {
+  return season.stages.find(s => s.stageNumber === stageNumber)?.name ||
+    (stageNumber ? `${stageNumber} этап` : 'Финал');
+}
+
+// Создать турнир; если переданы лиги (формат сырого JSON), импортирует их вместе с матчами
+export function createTournament(seasonId, data) {
+  return db.transaction(() => {
+    const season = getSeason(seasonId);
+    if (!season) return null;
+
+    const stageNumber = data.stage_number ?? null;
+    const name = data.name || getStageName(season, stageNumber);
+    const result = db.prepare(`
+      INSERT INTO tournaments (season_id, stage_number, name, date, format, pairing)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(seasonId, stageNumber, name, data.date, data.format, data.pairing);
+    const tournamentId = result.lastInsertRowid;
+
+    if (Array.isArray(data.leagues)) {
+      insertLeagues(tournamentId, data.leagues);
+    }
+
+    return getTournamentData(tournamentId);
+  })();
+}
+
+export function updateTournament(tournamentId, fields) {
+  return db.transaction(() => {
+    const tournament = db.prepare('SELECT * FROM tournaments WHERE id = ?').get(tournamentId);
+    if (!tournament) return null;
+    if (fields.season_id != null && !getSeason(fields.season_id)) throw httpError(404, 'Сезон не найден');
+
+    db.prepare(`
+      UPDATE tournaments
+      SET season_id = ?, stage_number = ?, name = ?, date = ?, format = ?, pairing = ?
+      WHERE id = ?
+    `).run(
+      fields.season_id ?? tournament.season_id,
+      fields.stage_number !== undefined ? fields.stage_number : tournament.stage_number,
+      fields.name ?? tournament.name,
+      fields.date ?? tournament.date,
+      fields.format ?? tournament.format,
+      fields.pairing ?? tournament.pairing,
+      tournamentId
+    );
+    return getTournamentData(tournamentId);
+  })();
+}
+
+export function deleteTournament(tournamentId) {
+  return db.transaction(() => removeTournament(tournamentId))();
+}
+
+// Удаление турнира со всеми лигами, группами и матчами (без собственной транзакции)
+function removeTournament(tournamentId) {
+  const tournament = db.prepare('SELECT * FROM tournaments WHERE id = ?').get(tournamentId);
+  if (!tournament) return null;
+
+  const leagues = db.prepare('SELECT id FROM leagues WHERE tournament_id = ?').all(tournamentId);
+  for (const league of leagues) {
+    removeLeague(league.id);
+  }
+  db.prepare('DELETE FROM tournaments WHERE id = ?').run(tournamentId);
+  return tournament;
+}
+
+// Заменить содержимое турнира: поля и все лиги с матчами (ID турнира сохраняется)
+export function replaceTournament(tournamentId, data) {
+  return db.transaction(() => {
+    if (!updateTournament(tournamentId, data)) return null;
+
+    const leagues = db.prepare('SELECT id FROM leagues WHERE tournament_id = ?').all(tournamentId);
+    for (const league of leagues) {
+      removeLeague(league.id);
+    }
+    insertLeagues(tournamentId, data.leagues || []);
+
+    return getTournamentData(tournamentId);
+  })();
+}
+
+// Вставить лиги турнира в формате сырого JSON (groups + playoff)
+export function insertLeagues(tournamentId, leagues) {
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM leagues WHERE tournament_id = ?').get(tournamentId);
+
+  leagues.forEach((leagueData, i) => {
+    const leagueId = db.prepare(`
+      INSERT INTO leagues (tournament_id, name, sort_order)
+      VALUES (?, ?, ?)
+    `).run(tournamentId, leagueData.name, leagueData.sort_order ?? count + i).lastInsertRowid;
+
+    for (const groupData of leagueData.groups || []) {
+      const groupId = insertGroup(leagueId, groupData.name, groupData.stage || 'qualification');
+      for (const match of groupData.matches || []) {
+        insertMatch(groupId, match);
+      }
+    }
+
+    if (leagueData.playoff) {
+      const playoffId = insertGroup(leagueId, 'Плейофф', 'playoff');
+      for (const match of leagueData.playoff.matches || []) {
+        insertMatch(playoffId, match);
+      }
+    }
+  });
+}
+
+// === Лиги ===
+
+export function getLeague(leagueId) {
+  return db.prepare('SELECT * FROM leagues WHERE id = ?').get(leagueId) || null;
+}
+
+export function createLeague(tournamentId, { name, sort_order }) {
+  return db.transaction(() => {
+    const tournament = db.prepare('SELECT id FROM tournaments WHERE id = ?').get(tournamentId);
+    if (!tournament) return null;
+
+    const order = sort_order ?? db.prepare(
+      'SELECT COUNT(*) as count FROM leagues WHERE tournament_id = ?'
+    ).get(tournamentId).count;
+    const result = db.prepare(`
+      INSERT INTO leagues (tournament_id, name, sort_order)
+      VALUES (?, ?, ?)
+    `).run(tournamentId, name.trim(), order);
+    return getLeague(result.lastInsertRowid);
+  })();
+}
+
+export function updateLeague(leagueId, fields) {
+  return db.transaction(() => {
+    const league = getLeague(leagueId);
+    if (!league) return null;
+
+    db.prepare('UPDATE leagues SET name = ?, sort_order = ? WHERE id = ?').run(
+      fields.name?.trim() ?? league.name,
+      fields.sort_order ?? league.sort_order,
+      leagueId
+    );
+    return getLeague(leagueId);
+  })();
+}
+
+export function deleteLeague(leagueId) {
+  return db.transaction(() => removeLeague(leagueId))();
+}
+
+function removeLeague(leagueId) {
+  const league = getLeague(leagueId);
+  if (!league) return null;
+
+  const groups = db.prepare('SELECT id FROM groups WHERE league_id = ?').all(leagueId);
+  for (const group of groups) {
+    removeGroup(group.id);
+  }
+  db.prepare('DELETE FROM leagues WHERE id = ?').run(leagueId);
+  return league;
+}
+
+// === Группы ===
+
+export function getGroup(groupId) {
+  const group = db.prepare('SELECT * FROM groups WHERE id = ?').get(groupId);
+  if (!group) return null;
+  return { ...group, tiebreak_order: group.tiebreak_order ? JSON.parse(group.tiebreak_order) : [] };
+}
+
+function insertGroup(leagueId, name, stage) {
+  return db.prepare(`
+    INSERT INTO groups (league_id, name, stage)
+    VALUES (?, ?, ?)
+  `).run(leagueId, name, stage).lastInsertRowid;
+}
+
+export function createGroup(leagueId, { name, stage }) {
+  return db.transaction(() => {
+    if (!getLeague(leagueId)) return null;
+
+    const groupId = insertGroup(leagueId, name.trim(), stage || 'qualification');
+    return getGroup(groupId);
+  })();
+}
+
+export function updateGroup(groupId, fields) {
+  return db.transaction(() => {
+    const group = getGroup(groupId);
+    if (!group) return null;
+
+    db.prepare('UPDATE groups SET name = ?, stage = ?, tiebreak_order = ? WHERE id = ?').run(
+      fields.name?.trim() ?? group.name,
+      fields.stage ?? group.stage,
+      // Порядок организатора для равных по очкам; null или [] — сбросить
+      JSON.stringify(fields.tiebreak_order === undefined ? group.tiebreak_order : fields.tiebreak_order || []),
+      groupId
+    );
+    return getGroup(groupId);
+  })();
+}
+
+export function deleteGroup(groupId) {
+  return db.transaction(() => removeGroup(groupId))();
+}
+
+function removeGroup(groupId) {
+  const group = getGroup(groupId);
+  if (!group) return null;
+
+  db.prepare('DELETE FROM matches WHERE group_id = ?').run(groupId);
+  db.prepare('DELETE FROM groups WHERE id = ?').run(groupId);
+  return group;
+}
+
+// === Матчи ===
+
+// Получить матч в формате фронтенда (как в getTournamentData)
+export function getMatch(matchId) {
+  const row = db.prepare(`${MATCH_SELECT} WHERE m.id = ?`).get(matchId);
+  return row ? formatMatch(row) : null;
+}
+
+// Вставить матч в формате сырого JSON: { id, court, round, team1, team2, score, referee }
+function insertMatch(groupId, match) {
+  const matchNumber = match.id ?? db.prepare(
+    'SELECT COALESCE(MAX(match_number), 0) + 1 as next FROM matches WHERE group_id = ?'
+  ).get(groupId).next;
+
+  const p1 = getOrCreatePlayer(match.team1[0]);
+  const p2 = getOrCreatePlayer(match.team1[1]);
+  const p3 = getOrCreatePlayer(match.team2[0]);
+  const p4 = getOrCreatePlayer(match.team2[1]);
+  const ref = match.referee ? getOrCreatePlayer(match.referee) : null;
+
+  return db.prepare(`
+    INSERT INTO matches (group_id, match_number, court, round, team1_player1_id, team1_player2_id, score1, score2, team2_player1_id, team2_player2_id, referee_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    groupId, matchNumber, match.court ?? null, match.round ?? null,
+    p1, p2, match.score[0], match.score[1], p3, p4, ref
+  ).lastInsertRowid;
+}
+
+export function createMatch(groupId, match) {
+  return db.transaction(() => {
+    if (!getGroup(groupId)) return null;
+    return getMatch(insertMatch(groupId, match));
+  })();
+}
+
+// Обновить матч; поля, которых нет в запросе, остаются прежними
+export function updateMatch(matchId, fields) {
+  return db.transaction(() => {
+    const current = db.prepare('SELECT * FROM matches WHERE id = ?').get(matchId);
+    if (!current) return null;
+    if (fields.group_id != null && !getGroup(fields.group_id)) throw httpError(404, 'Группа не найдена');
+
+    const team1 = fields.team1
+      ? fields.team1.map(name => getOrCreatePlayer(name))
+      : [current.team1_player1_id, current.team1_player2_id];
+    const team2 = fields.team2
+      ? fields.team2.map(name => getOrCreatePlayer(name))
+      : [current.team2_player1_id, current.team2_player2_id];
+    const score = fields.score || [current.score1, current.score2];
+    const referee = fields.referee !== undefined
+      ? (fields.referee ? getOrCreatePlayer(fields.referee) : null)
+      : current.referee_id;
+
+    db.prepare(`
+      UPDATE matches
+      SET group_id = ?, match_number = ?, court = ?, round = ?,
+          team1_player1_id = ?, team1_player2_id = ?, score1 = ?, score2 = ?,
+          team2_player1_id = ?, team2_player2_id = ?, referee_id = ?
+      WHERE id = ?
+    `).run(
+      fields.group_id ?? current.group_id,
+      fields.id ?? current.match_number,
+      fields.court !== undefined ? fields.court : current.court,
+      fields.round !== undefined ? fields.round : current.round,
+      team1[0], team1[1], score[0], score[1], team2[0], team2[1],
+      referee,
+      matchId
+    );
+    return getMatch(matchId);
+  })();
+}
+
+export function deleteMatch(matchId) {
+  return db.transaction(() => {
+    const match = getMatch(matchId);
+    if (!match) return null;
+
+    db.prepare('DELETE FROM matches WHERE id = ?').run(matchId);
+    return match;
+  })();
+}
@@ -0,0 +1,71 @@
+import { randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+import db from './index.js';
+
+// Пользователи, пароли и сессии
+
+export const ROLES = ['organizer', 'viewer'];
+
+// Время жизни сессии (в днях)
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS || '30', 10);
+
+// Хэш пароля: scrypt с случайной солью, хранится как "salt:hash"
+export function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const hash = scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [salt, hash] = stored.split(':');
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = scryptSync(password, salt, expected.length);
+  return timingSafeEqual(expected, actual);
+}
+
+// Публичные поля пользователя (без хэша пароля)
+function toPublicUser(user) {
+  return { id: user.id, username: user.username, role: user.role };
+}
+
+// Создать пользователя или обновить пароль и роль существующего
+export function saveUser(username, password, role = 'viewer') {
+  const passwordHash = hashPassword(password);
+  db.prepare(`
+    INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)
+    ON CONFLICT(username) DO UPDATE SET password_hash = excluded.password_hash, role = excluded.role
+  `).run(username, passwordHash, role);
+  return toPublicUser(db.prepare('SELECT * FROM users WHERE username = ?').get(username));
+}
+
+// Проверить логин и пароль и открыть сессию; null при неверных данных
+export function login(username, password) {
+  const user = db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+  if (!user || !verifyPassword(password, user.password_hash)) return null;
+
+  // Просроченные сессии чистятся здесь, а не при каждом запросе
+  db.prepare("DELETE FROM sessions WHERE expires_at <= datetime('now')").run();
+
+  const token = randomBytes(32).toString('hex');
+  db.prepare(`
+    INSERT INTO sessions (token, user_id, expires_at)
+    VALUES (?, ?, datetime('now', ?))
+  `).run(token, user.id, `+${SESSION_TTL_DAYS} days`);
+
+  return { token, user: toPublicUser(user) };
+}
+
+export function logout(token) {
+  db.prepare('DELETE FROM sessions WHERE token = ?').run(token);
+}
+
+// Получить пользователя по токену действующей сессии
+export function getUserByToken(token) {
+  const user = db.prepare(`
+    SELECT u.* FROM sessions s
+    JOIN users u ON s.user_id = u.id
+    WHERE s.token = ? AND s.expires_at > datetime('now')
+  `).get(token);
+  return user ? toPublicUser(user) : null;
+}
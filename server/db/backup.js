@@ -0,0 +1,151 @@
+import Database from 'better-sqlite3';
+import { existsSync, mkdirSync, readdirSync, statSync, unlinkSync } from 'fs';
+import { join, basename } from 'path';
+import { BACKUP_DIR } from './paths.js';
+import { getMigrations } from './migrate.js';
+
+// Резервные копии БД через online backup API better-sqlite3 (сервер продолжает работать).
+// Хранятся в BACKUP_DIR как volleyball-YYYY-MM-DDTHH-MM-SS.db; ротация оставляет
+// последнюю копию за каждый из BACKUP_KEEP_DAYS последних дней.
+// Модуль не открывает рабочую БД сам — подключение передаётся параметром.
+
+export const BACKUP_KEEP_DAYS = parseInt(process.env.BACKUP_KEEP_DAYS || '7', 10);
+export const BACKUP_INTERVAL_HOURS = parseFloat(process.env.BACKUP_INTERVAL_HOURS || '24');
+
+const BACKUP_FILE = /^volleyball-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})\.db$/;
+
+// Таблицы, без которых копия бесполезна
+const REQUIRED_TABLES = ['schema_migrations', 'seasons', 'tournaments', 'leagues', 'groups', 'matches', 'players'];
+
+// Список копий, новые первыми
+export function listBackups(directory = BACKUP_DIR) {
+  if (!existsSync(directory)) return [];
+
+  return readdirSync(directory)
+    .filter(file => BACKUP_FILE.test(file))
+    .map(file => {
+      const [, date, hours, minutes, seconds] = file.match(BACKUP_FILE);
+      return {
+        name: file,
+        path: join(directory, file),
+        date,
+        createdAt: `${date}T${hours}:${minutes}:${seconds}Z`,
+        size: statSync(join(directory, file)).size
+      };
+    })
+    .sort((a, b) => b.name.localeCompare(a.name));
+}
+
+// Удалить лишние копии: оставить последнюю за день для keepDays последних дней
+export function rotateBackups(keepDays = BACKUP_KEEP_DAYS, directory = BACKUP_DIR) {
+  const keptDays = new Set();
+  const removed = [];
+
+  for (const backup of listBackups(directory)) {
+    if (!keptDays.has(backup.date) && keptDays.size < keepDays) {
+      keptDays.add(backup.date);
+    } else {
+      unlinkSync(backup.path);
+      removed.push(backup.name);
+    }
+  }
+  return removed;
+}
+
+/**
+ * Сделать резервную копию и выполнить ротацию
+ * @param {Database} db - Подключение к рабочей БД
+ * @returns {Promise<Object>} { backup, removed }
+ */
+export async function createBackup(db, directory = BACKUP_DIR) {
+  mkdirSync(directory, { recursive: true });
+
+  const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+  const path = join(directory, `volleyball-${stamp}.db`);
+  await db.backup(path);
+
+  const removed = rotateBackups(BACKUP_KEEP_DAYS, directory);
+  return { backup: listBackups(directory).find(b => b.path === path), removed };
+}
+
+/**
+ * Проверить копию перед восстановлением: целостность SQLite, наличие таблиц
+ * и версия схемы не новее известных коду миграций
+ * @param {string} path - Путь к файлу копии
+ * @returns {Object} { ok, errors, schemaVersion, counts }
+ */
+export function validateBackup(path) {
+  const result = { ok: false, errors: [], schemaVersion: null, counts: {} };
+  if (!existsSync(path)) {
+    result.errors.push(`Файл не найден: ${path}`);
+    return result;
+  }
+
+  let backupDb;
+  try {
+    backupDb = new Database(path, { readonly: true, fileMustExist: true });
+
+    const integrity = backupDb.pragma('integrity_check', { simple: true });
+    if (integrity !== 'ok') {
+      result.errors.push(`Нарушена целостность: ${integrity}`);
+    }
+
+    const tables = new Set(
+      backupDb.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(t => t.name)
+    );
+    const missing = REQUIRED_TABLES.filter(table => !tables.has(table));
+    if (missing.length > 0) {
+      result.errors.push(`Нет таблиц: ${missing.join(', ')}`);
+    } else {
+      result.schemaVersion = backupDb.prepare('SELECT MAX(version) as version FROM schema_migrations').get().version;
+      const latest = Math.max(0, ...getMigrations().map(m => m.version));
+      if (result.schemaVersion > latest) {
+        result.errors.push(`Копия сделана более новой версией (схема ${result.schemaVersion}, код знает до ${latest})`);
+      }
+      for (const table of ['seasons', 'tournaments', 'matches', 'players']) {
+        result.counts[table] = backupDb.prepare(`SELECT COUNT(*) as count FROM ${table}`).get().count;
+      }
+    }
+  } catch (err) {
+    result.errors.push(`Не удалось открыть как базу SQLite: ${err.message}`);
+  } finally {
+    backupDb?.close();
+  }
+
+  result.ok = result.errors.length === 0;
+  return result;
+}
+
+// Найти копию по имени файла в BACKUP_DIR или по пути
+export function resolveBackupPath(nameOrPath, directory = BACKUP_DIR) {
+  const inDirectory = join(directory, basename(nameOrPath));
+  return existsSync(nameOrPath) ? nameOrPath : inDirectory;
+}
+
+/**
+ * Запустить резервное копирование по расписанию (раз в BACKUP_INTERVAL_HOURS;
+ * 0 — выключено). Первая копия делается сразу, если последняя старше интервала
+ * @param {Database} db - Подключение к рабочей БД
+ */
+export function scheduleBackups(db) {
+  if (!(BACKUP_INTERVAL_HOURS > 0)) return null;
+  const intervalMs = BACKUP_INTERVAL_HOURS * 60 * 60 * 1000;
+
+  const run = async () => {
+    try {
+      const { backup, removed } = await createBackup(db);
+      console.log(`💾 Резервная копия: ${backup.name}${removed.length ? `, удалено старых: ${removed.length}` : ''}`);
+    } catch (err) {
+      console.error('❌ Ошибка резервного копирования:', err);
+    }
+  };
+
+  const latest = listBackups()[0];
+  if (!latest || Date.now() - Date.parse(latest.createdAt) >= intervalMs) {
+    run();
+  }
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
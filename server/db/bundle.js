@@ -0,0 +1,154 @@
+import db from './index.js';
+import { httpError } from '../utils/errors.js';
+
+// Полная выгрузка истории лиги в один JSON («бандл») и восстановление из него.
+// Записи выгружаются строками таблиц как есть (все столбцы, включая ID) с вложенными
+// дочерними списками, поэтому импорт бандла в пустую БД даёт ту же базу.
+// Пользователи и сессии не выгружаются, Elo не хранится — пересчитывается после импорта.
+
+export const BUNDLE_FORMAT = 'beach-volley-rating';
+export const BUNDLE_VERSION = 2;
+
+// Столбцы matches, ссылающиеся на игроков
+const MATCH_PLAYER_COLUMNS = [
+  'team1_player1_id', 'team1_player2_id',
+  'team2_player1_id', 'team2_player2_id',
+  'referee_id'
+];
+
+// Таблицы с данными лиги в порядке удаления (сначала зависимые)
+const DATA_TABLES = [
+  'rating_changes', 'player_ratings', 'matches', 'groups', 'leagues',
+  'tournaments', 'seasons', 'player_aliases', 'players'
+];
+
+export function exportBundle() {
+  const aliases = db.prepare('SELECT * FROM player_aliases ORDER BY alias').all();
+  const players = db.prepare('SELECT * FROM players ORDER BY id').all().map(player => ({
+    ...player,
+    aliases: aliases
+      .filter(a => a.player_id === player.id)
+      .map(a => ({ alias: a.alias, created_at: a.created_at }))
+  }));
+
+  const children = (table, parentColumn, parentId) =>
+    db.prepare(`SELECT * FROM ${table} WHERE ${parentColumn} = ? ORDER BY id`).all(parentId);
+
+  const seasons = db.prepare('SELECT * FROM seasons ORDER BY id').all().map(season => ({
+    ...season,
+    tournaments: children('tournaments', 'season_id', season.id).map(tournament => ({
+      ...tournament,
+      leagues: children('leagues', 'tournament_id', tournament.id).map(league => ({
+        ...league,
+        groups: children('groups', 'league_id', league.id).map(group => ({
+          ...group,
+          matches: children('matches', 'group_id', group.id)
+        }))
+      }))
+    }))
+  }));
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    players,
+    seasons
+  };
+}
+
+function isDatabaseEmpty() {
+  return ['seasons', 'tournaments', 'matches'].every(table =>
+    db.prepare(`SELECT COUNT(*) as count FROM ${table}`).get().count === 0
+  );
+}
+
+/**
+ * Вставить строку из бандла: берутся только столбцы таблицы (вложенные списки пропускаются),
+ * ссылка на родителя — из parent; отсутствующие столбцы получают значения по умолчанию
+ * @param {string} table - Таблица
+ * @param {Object} row - Строка из бандла
+ * @param {Object} parent - Столбцы, задаваемые вложенностью ({ season_id } и т.п.)
+ */
+function insertRow(table, row, parent = {}) {
+  const values = { ...row, ...parent };
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all()
+    .map(column => column.name)
+    .filter(name => values[name] !== undefined);
+  db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+    .run(...columns.map(name => values[name]));
+}
+
+function checkBundle(bundle) {
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    throw httpError(400, 'Это не бандл базы рейтинга (нет format: beach-volley-rating)');
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    throw httpError(400, `Неподдерживаемая версия бандла: ${bundle.version} (ожидается ${BUNDLE_VERSION})`);
+  }
+  if (!Array.isArray(bundle.players) || !Array.isArray(bundle.seasons)) {
+    throw httpError(400, 'В бандле нет списков players и seasons');
+  }
+}
+
+/**
+ * Восстановить базу из бандла. Непустая база заменяется только с replace,
+ * иначе 409. Всё выполняется в одной транзакции.
+ * @returns {Object} Количество восстановленных записей по таблицам
+ */
+export function importBundle(bundle, { replace = false } = {}) {
+  checkBundle(bundle);
+
+  return db.transaction(() => {
+    if (!isDatabaseEmpty() && !replace) {
+      throw httpError(409, 'В базе уже есть данные — для замены используйте replace');
+    }
+    for (const table of DATA_TABLES) {
+      db.prepare(`DELETE FROM ${table}`).run();
+    }
+
+    const counts = { players: 0, aliases: 0, seasons: 0, tournaments: 0, leagues: 0, groups: 0, matches: 0 };
+
+    const playerIds = new Set();
+    for (const player of bundle.players) {
+      insertRow('players', player);
+      playerIds.add(player.id);
+      counts.players++;
+      for (const alias of player.aliases || []) {
+        insertRow('player_aliases', alias, { player_id: player.id });
+        counts.aliases++;
+      }
+    }
+    const checkPlayer = id => {
+      if (id != null && !playerIds.has(id)) throw httpError(400, `Игрок с ID ${id} из матча отсутствует в списке players`);
+    };
+
+    for (const season of bundle.seasons) {
+      insertRow('seasons', season);
+      counts.seasons++;
+
+      for (const tournament of season.tournaments || []) {
+        insertRow('tournaments', tournament, { season_id: season.id });
+        counts.tournaments++;
+
+        for (const league of tournament.leagues || []) {
+          insertRow('leagues', league, { tournament_id: tournament.id });
+          counts.leagues++;
+
+          for (const group of league.groups || []) {
+            insertRow('groups', group, { league_id: league.id });
+            counts.groups++;
+
+            for (const match of group.matches || []) {
+              MATCH_PLAYER_COLUMNS.forEach(column => checkPlayer(match[column]));
+              insertRow('matches', match, { group_id: group.id });
+              counts.matches++;
+            }
+          }
+        }
+      }
+    }
+
+    return counts;
+  })();
+}
@@ -0,0 +1,190 @@
+import db from './index.js';
+
+// Поиск вероятных дублей среди игроков: сокращённые имена («Захарченко Вл.»),
+// переставленные слова, ё/е и опечатки (расстояние Левенштейна)
+
+export const DEFAULT_THRESHOLD = 0.75;
+
+// Привести имя к виду для сравнения: регистр, ё → е, без точек и лишних пробелов
+export function normalizeForComparison(name) {
+  return name
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/\./g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Расстояние Левенштейна
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// Одно слово — сокращение другого («вл» для «владимир»)
+function isAbbreviation(short, full) {
+  return short.length >= 2 && short.length < full.length && full.startsWith(short);
+}
+
+/**
+ * Оценить похожесть двух имён
+ * @returns {{ score: number, reasons: string[] }} score от 0 до 1
+ */
+export function compareNames(nameA, nameB) {
+  const a = normalizeForComparison(nameA);
+  const b = normalizeForComparison(nameB);
+  const reasons = [];
+  let score = 0;
+
+  if (a === b) {
+    return { score: 1, reasons: ['одинаковое написание (регистр, ё/е, точки)'] };
+  }
+
+  const tokensA = a.split(' ');
+  const tokensB = b.split(' ');
+
+  // Переставленные слова: «Владимир Захарченко» / «Захарченко Владимир»
+  if (tokensA.length === tokensB.length && [...tokensA].sort().join(' ') === [...tokensB].sort().join(' ')) {
+    score = Math.max(score, 0.95);
+    reasons.push('переставлены слова');
+  }
+
+  // Фамилия совпадает, имя сокращено: «Захарченко Вл.» / «Захарченко Владимир»
+  if (tokensA.length === 2 && tokensB.length === 2) {
+    for (const [x, y] of [[tokensA, tokensB], [tokensA, [...tokensB].reverse()]]) {
+      if (x[0] === y[0] && (isAbbreviation(x[1], y[1]) || isAbbreviation(y[1], x[1]))) {
+        score = Math.max(score, 0.9);
+        reasons.push('сокращённое имя');
+        break;
+      }
+    }
+  }
+
+  // Опечатки: похожесть по расстоянию Левенштейна
+  const similarity = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+  if (similarity >= 0.8) {
+    score = Math.max(score, similarity);
+    reasons.push(`расстояние Левенштейна ${levenshtein(a, b)}`);
+  }
+
+  return { score, reasons };
+}
+
+// Участие игроков: число матчей, турниры и матчи (включая судейство)
+function getParticipation() {
+  const rows = db.prepare(`
+    SELECT m.id as match_id, l.tournament_id,
+      m.team1_player1_id, m.team1_player2_id,
+      m.team2_player1_id, m.team2_player2_id,
+      m.referee_id
+    FROM matches m
+    JOIN groups g ON m.group_id = g.id
+    JOIN leagues l ON g.league_id = l.id
+  `).all();
+
+  const participation = new Map();
+  const get = id => {
+    if (!participation.has(id)) {
+      participation.set(id, { matches: 0, matchIds: new Set(), tournaments: new Set() });
+    }
+    return participation.get(id);
+  };
+
+  for (const row of rows) {
+    const players = [row.team1_player1_id, row.team1_player2_id, row.team2_player1_id, row.team2_player2_id];
+    players.forEach(id => {
+      get(id).matches++;
+    });
+    for (const id of [...players, row.referee_id].filter(Boolean)) {
+      get(id).matchIds.add(row.match_id);
+      get(id).tournaments.add(row.tournament_id);
+    }
+  }
+  return participation;
+}
+
+function intersects(setA, setB) {
+  for (const item of setA) {
+    if (setB.has(item)) return true;
+  }
+  return false;
+}
+
+// Какую запись оставить: полное имя (без точек, длиннее), затем больше матчей
+function pickTarget(a, b) {
+  const abbreviated = p => p.name.includes('.');
+  if (abbreviated(a) !== abbreviated(b)) return abbreviated(a) ? b : a;
+  if (a.name.length !== b.name.length) return a.name.length > b.name.length ? a : b;
+  return a.matches >= b.matches ? a : b;
+}
+
+/**
+ * Найти вероятные пары дублей
+ * @param {Object} options - { threshold } — минимальная оценка похожести (0..1)
+ * @returns {Array} Пары по убыванию оценки; merge — запрос для объединения
+ */
+export function findDuplicatePlayers({ threshold = DEFAULT_THRESHOLD } = {}) {
+  const players = db.prepare('SELECT id, name, gender FROM players ORDER BY id').all();
+  const participation = getParticipation();
+  const empty = { matches: 0, matchIds: new Set(), tournaments: new Set() };
+  const pairs = [];
+
+  for (let i = 0; i < players.length; i++) {
+    for (let j = i + 1; j < players.length; j++) {
+      const a = players[i];
+      const b = players[j];
+      const { score: nameScore, reasons } = compareNames(a.name, b.name);
+      if (nameScore === 0) continue;
+
+      const partA = participation.get(a.id) || empty;
+      const partB = participation.get(b.id) || empty;
+
+      // Оба в одном матче — точно разные люди
+      if (intersects(partA.matchIds, partB.matchIds)) continue;
+
+      let score = nameScore;
+      // Разные имена в одном протоколе турнира — типичная опечатка при заполнении
+      if (intersects(partA.tournaments, partB.tournaments)) {
+        score += 0.05;
+        reasons.push('встречаются в одном турнире, но не в одном матче');
+      }
+      if (a.gender && b.gender && a.gender !== b.gender) {
+        score -= 0.2;
+        reasons.push('разный пол');
+      }
+      score = Math.min(1, Math.round(score * 100) / 100);
+      if (score < threshold) continue;
+
+      const playerA = { ...a, matches: partA.matches };
+      const playerB = { ...b, matches: partB.matches };
+      const target = pickTarget(playerA, playerB);
+      const source = target === playerA ? playerB : playerA;
+
+      pairs.push({
+        score,
+        reasons,
+        players: [playerA, playerB],
+        merge: {
+          method: 'POST',
+          url: `/api/players/${target.id}/merge`,
+          body: { sourceId: source.id },
+          description: `«${source.name}» → «${target.name}»`
+        }
+      });
+    }
+  }
+
+  return pairs.sort((x, y) => y.score - x.score);
+}
@@ -0,0 +1,81 @@
+import { getSeasonRating } from './index.js';
+import { getRatingDetails } from './ratings.js';
+
+// Таблицы для выгрузки в CSV/XLSX (см. utils/table-export.js)
+
+const GENDER_LABELS = { male: 'М', female: 'Ж' };
+
+// Рейтинг сезона: очки по этапам, сумма, число игр и текущий Elo
+export function getSeasonRatingTable(seasonId) {
+  const rating = getSeasonRating(seasonId);
+  if (!rating) return null;
+
+  // При правиле «лучшие N этапов» рядом с зачётной суммой выводится сумма всех этапов
+  const withGross = rating.season.best_stages != null;
+  const columns = [
+    'Место', 'Игрок', 'Пол',
+    ...rating.stages.map(s => s.name),
+    ...(withGross ? ['Σ всех этапов'] : []),
+    'Σ очков', 'Игр', 'Этапов', 'Elo'
+  ];
+
+  const rows = rating.players.map((player, index) => {
+    const stageData = rating.stages.map(s => player.stages[s.key]);
+    return [
+      index + 1,
+      player.name,
+      GENDER_LABELS[player.gender] || '',
+      ...stageData.map(stage => stage?.points ?? null),
+      ...(withGross ? [player.grossTotal] : []),
+      player.total,
+      stageData.reduce((sum, stage) => sum + (stage?.matches.length || 0), 0),
+      stageData.filter(Boolean).length,
+      player.rating
+    ];
+  });
+
+  return { title: `${rating.season.name} ${rating.season.year}`, columns, rows };
+}
+
+// Таблица Elo на момент времени: Elo после каждого турнира, итог, число игр и динамика за этап
+export function getEloTable(filter = {}) {
+  const details = getRatingDetails(filter);
+  if (!details) return null;
+
+  // Турниры в хронологическом порядке (матчи уже отсортированы)
+  const tournaments = [];
+  for (const match of details.matches) {
+    if (!tournaments.some(t => t.id === match.tournamentId)) {
+      tournaments.push({ id: match.tournamentId, name: match.tournament, date: match.date });
+    }
+  }
+
+  const columns = [
+    'Место', 'Игрок', 'Пол',
+    ...tournaments.map(t => `${t.name} (${t.date})`),
+    'Elo', 'Игр', 'Калибровка', 'За этап', 'Движение'
+  ];
+
+  const rows = details.players.map(player => {
+    // Elo после последнего матча игрока в каждом турнире
+    const afterTournament = new Map();
+    player.ratingHistory.forEach(entry => {
+      if (entry.tournamentId) afterTournament.set(entry.tournamentId, entry.rating);
+    });
+
+    return [
+      player.rank,
+      player.name,
+      GENDER_LABELS[player.gender] || '',
+      ...tournaments.map(t => afterTournament.get(t.id) ?? null),
+      player.currentRating,
+      player.gamesPlayed,
+      player.isCalibrated ? 'да' : 'нет',
+      player.stageChange,
+      player.isNew ? 'new' : player.rankChange
+    ];
+  });
+
+  const asOf = details.asOf.date ? ` на ${details.asOf.date}` : '';
+  return { title: `Рейтинг Elo${asOf}`, columns, rows };
+}
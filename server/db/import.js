@@ -0,0 +1,171 @@
+import db, { normalizePlayerName, findPlayerByName, getTournamentData } from './index.js';
+import { getSeason, createTournament, replaceTournament, getStageName } from './admin.js';
+import { httpError } from '../utils/errors.js';
+import { validateTournamentData, formatIssue } from '../../src/modules/validator.js';
+
+// Импорт турнира из сырого JSON (формат data/raw): поиск уже загруженного
+// этапа, сравнение с ним и атомарная замена
+
+const PLAYOFF_GROUP = 'Плейофф';
+
+/**
+ * Тот же этап сезона: совпадает номер этапа; если номера в файле нет — дата.
+ * Несколько подходящих турниров — ошибка (409): заменять наугад нельзя
+ * @returns {Object|null} Строка tournaments или null
+ */
+export function findExistingTournament(seasonId, stageNumber, date) {
+  const candidates = stageNumber != null
+    ? db.prepare('SELECT * FROM tournaments WHERE season_id = ? AND stage_number = ? ORDER BY date, id').all(seasonId, stageNumber)
+    : db.prepare('SELECT * FROM tournaments WHERE season_id = ? AND date = ? ORDER BY date, id').all(seasonId, date);
+  if (candidates.length > 1) {
+    const list = candidates.map(t => `«${t.name}» от ${t.date} (ID ${t.id})`).join(', ');
+    const error = httpError(409, `Этап определяется неоднозначно: ${list} — укажите номер этапа или исправьте турниры`);
+    error.candidates = candidates;
+    throw error;
+  }
+  return candidates[0] || null;
+}
+
+// Имя игрока так, как оно будет записано в БД (с учётом псевдонимов)
+function resolveName(name, cache) {
+  if (!name) return null;
+  if (cache.has(name)) return cache.get(name);
+
+  const playerId = findPlayerByName(name);
+  const resolved = playerId
+    ? db.prepare('SELECT name FROM players WHERE id = ?').get(playerId).name
+    : normalizePlayerName(name);
+  cache.set(name, resolved);
+  return resolved;
+}
+
+// Матчи турнира по ключу «лига / группа / №матча» в сравнимом виде
+function collectMatches(leagues, resolve) {
+  const matches = new Map();
+  const add = (leagueName, groupName, match) => {
+    const key = `${leagueName} / ${groupName} / №${match.id}`;
+    matches.set(key, {
+      team1: (match.team1 || []).map(resolve),
+      team2: (match.team2 || []).map(resolve),
+      score: match.score || [],
+      court: match.court ?? null,
+      round: match.round ?? null,
+      referee: resolve(match.referee)
+    });
+  };
+
+  for (const league of leagues) {
+    for (const group of league.groups || []) {
+      group.matches.forEach(match => add(league.name, group.name, match));
+    }
+    if (league.playoff) {
+      league.playoff.matches.forEach(match => add(league.name, PLAYOFF_GROUP, match));
+    }
+  }
+  return matches;
+}
+
+function formatMatchLine(match) {
+  const round = match.round ? ` [${match.round}]` : '';
+  return `${match.team1.join(' / ')} ${match.score[0]}:${match.score[1]} ${match.team2.join(' / ')}${round}`;
+}
+
+/**
+ * Сравнить импортируемый турнир с уже загруженным
+ * @param {Object} data - Турнир в формате сырого JSON
+ * @param {number|null} existingId - ID загруженного турнира (null — турнира ещё нет)
+ * @returns {Object} { added, changed, removed, newPlayers } — строки для вывода
+ */
+export function diffTournament(data, existingId = null) {
+  const cache = new Map();
+  const resolve = name => resolveName(name, cache);
+
+  const incoming = collectMatches(data.leagues, resolve);
+  const existing = existingId
+    ? collectMatches(getTournamentData(existingId).leagues, name => name)
+    : new Map();
+
+  const diff = { added: [], changed: [], removed: [], newPlayers: [] };
+
+  for (const [key, match] of incoming) {
+    const old = existing.get(key);
+    if (!old) {
+      diff.added.push(`${key}: ${formatMatchLine(match)}`);
+    } else if (JSON.stringify(old) !== JSON.stringify(match)) {
+      const referee = old.referee !== match.referee
+        ? ` (судья: ${old.referee ?? '—'} → ${match.referee ?? '—'})`
+        : '';
+      diff.changed.push(`${key}: ${formatMatchLine(old)} → ${formatMatchLine(match)}${referee}`);
+    }
+  }
+  for (const [key, match] of existing) {
+    if (!incoming.has(key)) {
+      diff.removed.push(`${key}: ${formatMatchLine(match)}`);
+    }
+  }
+
+  const names = new Set();
+  for (const match of incoming.values()) {
+    [...match.team1, ...match.team2, match.referee].filter(Boolean).forEach(name => names.add(name));
+  }
+  diff.newPlayers = [...new Set([...names].filter(name => !findPlayerByName(name)).map(normalizePlayerName))].sort();
+
+  return diff;
+}
+
+/**
+ * Импортировать турнир. Файл с ошибками валидации отклоняется (400), если не указан force.
+ * Если этап уже загружен, без replace импорт отклоняется (409),
+ * с replace — содержимое турнира заменяется в одной транзакции.
+ * С dryRun ничего не записывается.
+ * @param {Object} data - Турнир в формате сырого JSON ({ tournament, date, leagues })
+ * @param {Object} options - { seasonName, seasonYear, stageNumber, format, pairing, replace, dryRun, force }
+ * @returns {Object} { action: 'created'|'replaced'|'dry-run', validation, existing, diff, tournament }
+ */
+export function importTournament(data, options) {
+  const {
+    seasonName, seasonYear, stageNumber = null, format, pairing,
+    replace = false, dryRun = false, force = false
+  } = options;
+
+  // Без списка лиг импортировать нечего даже с force
+  const validation = validateTournamentData(data);
+  if (!Array.isArray(data.leagues) || (!validation.valid && !dryRun && !force)) {
+    const error = httpError(400, `Файл содержит ошибки:\n${validation.errors.map(formatIssue).join('\n')}`);
+    error.validation = validation;
+    throw error;
+  }
+
+  return db.transaction(() => {
+    const seasonRow = db.prepare('SELECT id FROM seasons WHERE name = ? AND year = ?').get(seasonName, seasonYear);
+    const season = seasonRow ? getSeason(seasonRow.id) : null;
+    const existing = season ? findExistingTournament(season.id, stageNumber, data.date) : null;
+    const diff = diffTournament(data, existing?.id ?? null);
+
+    if (dryRun) {
+      return { action: 'dry-run', validation, existing, diff, tournament: null };
+    }
+    if (existing && !replace) {
+      throw httpError(409, `Этап уже загружен: «${existing.name}» от ${existing.date} (ID ${existing.id}) — используйте замену`);
+    }
+
+    const fields = {
+      stage_number: stageNumber,
+      // Для нового сезона название подставит createTournament
+      name: season ? getStageName(season, stageNumber) : undefined,
+      date: data.date,
+      format,
+      pairing,
+      leagues: data.leagues
+    };
+
+    if (existing) {
+      return { action: 'replaced', validation, existing, diff, tournament: replaceTournament(existing.id, fields) };
+    }
+
+    const seasonId = season
+      ? season.id
+      : db.prepare('INSERT INTO seasons (name, year) VALUES (?, ?)').run(seasonName, seasonYear).lastInsertRowid;
+    return { action: 'created', validation, existing, diff, tournament: createTournament(seasonId, fields) };
+  })();
+}
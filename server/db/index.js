@@ -1,33 +1,74 @@
 import Database from 'better-sqlite3';
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const dbPath = join(__dirname, 'volleyball.db');
+import { DB_PATH } from './paths.js';
+import { runMigrations } from './migrate.js';
+import { guessGender } from '../utils/gender.js';
+import { normalizeScoringRules, getMatchPoints } from '../../src/modules/scoring.js';
+import { normalizeSeasonStages, calculateSeasonTotal } from '../utils/season-stages.js';
+import { DEFAULT_TIEBREAKERS } from '../../src/modules/standings.js';
+import { normalizeRatingConfig } from '../utils/rating-config.js';
 
 // Инициализация БД
-const db = new Database(dbPath);
+const db = new Database(DB_PATH);
 db.pragma('journal_mode = WAL');
 db.pragma('foreign_keys = ON');
 
-// Создание таблиц при первом запуске
-const schema = readFileSync(join(__dirname, 'schema.sql'), 'utf-8');
-db.exec(schema);
+// Схема: недостающие миграции из db/migrations применяются при каждом подключении
+for (const name of runMigrations(db)) {
+  console.log(`🗄️  Применена миграция ${name}`);
+}
 
 export default db;
 
 // Вспомогательные функции
 
-// Получить или создать игрока
+// Привести написание имени к единому виду (лишние пробелы)
+export function cleanPlayerName(name) {
+  return name.trim().replace(/\s+/g, ' ');
+}
+
+// Имя с раскрытым известным сокращением (name_normalizations), иначе очищенное имя
+export function normalizePlayerName(name) {
+  const cleanName = cleanPlayerName(name);
+  const normalized = db.prepare('SELECT name FROM name_normalizations WHERE alias = ?').get(cleanName);
+  return normalized ? normalized.name : cleanName;
+}
+
+// Найти игрока по имени или псевдониму (player_aliases); null если не найден
+export function findPlayerByName(name) {
+  const cleanName = cleanPlayerName(name);
+  for (const candidate of new Set([cleanName, normalizePlayerName(cleanName)])) {
+    const byName = db.prepare('SELECT id FROM players WHERE name = ?').get(candidate);
+    if (byName) return byName.id;
+
+    const byAlias = db.prepare('SELECT player_id FROM player_aliases WHERE alias = ?').get(candidate);
+    if (byAlias) return byAlias.player_id;
+  }
+  return null;
+}
+
+// Получить или создать игрока (с учётом псевдонимов и известных сокращений).
+// Пол нового игрока, если не указан, угадывается по имени
 export function getOrCreatePlayer(name, gender = null) {
-  const existing = db.prepare('SELECT id FROM players WHERE name = ?').get(name);
-  if (existing) return existing.id;
+  const existingId = findPlayerByName(name);
+  if (existingId) return existingId;
 
-  const result = db.prepare('INSERT INTO players (name, gender) VALUES (?, ?)').run(name, gender);
+  const cleanName = normalizePlayerName(name);
+  const result = db.prepare('INSERT INTO players (name, gender) VALUES (?, ?)')
+    .run(cleanName, gender || guessGender(cleanName));
   return result.lastInsertRowid;
 }
 
+// Сезон для API: scoring_rules, stages и tiebreakers из JSON-строк в полные значения (с умолчаниями)
+export function formatSeason(season) {
+  return {
+    ...season,
+    scoring_rules: normalizeScoringRules(season.scoring_rules ? JSON.parse(season.scoring_rules) : null),
+    stages: normalizeSeasonStages(season.stages ? JSON.parse(season.stages) : null),
+    tiebreakers: season.tiebreakers ? JSON.parse(season.tiebreakers) : DEFAULT_TIEBREAKERS,
+    rating_config: normalizeRatingConfig(season.rating_config ? JSON.parse(season.rating_config) : null)
+  };
+}
+
 // Получить все сезоны
 export function getSeasons() {
   return db.prepare(`
@@ -36,7 +77,7 @@ export function getSeasons() {
     LEFT JOIN tournaments t ON t.season_id = s.id
     GROUP BY s.id
     ORDER BY s.year DESC
-  `).all();
+  `).all().map(formatSeason);
 }
 
 // Получить турниры сезона
@@ -48,13 +89,50 @@ export function getTournamentsBySeason(seasonId) {
   `).all(seasonId);
 }
 
+// Запрос матчей с именами игроков (фильтр добавляется вызывающим кодом)
+export const MATCH_SELECT = `
+  SELECT
+    m.*,
+    p1.name as team1_player1_name, p1.gender as team1_player1_gender,
+    p2.name as team1_player2_name, p2.gender as team1_player2_gender,
+    p3.name as team2_player1_name, p3.gender as team2_player1_gender,
+    p4.name as team2_player2_name, p4.gender as team2_player2_gender,
+    ref.name as referee_name, ref.gender as referee_gender
+  FROM matches m
+  JOIN players p1 ON m.team1_player1_id = p1.id
+  JOIN players p2 ON m.team1_player2_id = p2.id
+  JOIN players p3 ON m.team2_player1_id = p3.id
+  JOIN players p4 ON m.team2_player2_id = p4.id
+  LEFT JOIN players ref ON m.referee_id = ref.id
+`;
+
+// Преобразовать строку матча из БД в формат фронтенда
+// matchId — ID записи в БД (нужен для редактирования через API),
+// team1Genders/team2Genders/refereeGender — пол из players.gender
+export function formatMatch(m) {
+  return {
+    id: m.match_number,
+    matchId: m.id,
+    court: m.court,
+    round: m.round,
+    team1: [m.team1_player1_name, m.team1_player2_name],
+    team2: [m.team2_player1_name, m.team2_player2_name],
+    team1Genders: [m.team1_player1_gender, m.team1_player2_gender],
+    team2Genders: [m.team2_player1_gender, m.team2_player2_gender],
+    score: [m.score1, m.score2],
+    referee: m.referee_name,
+    refereeGender: m.referee_gender
+  };
+}
+
 // Получить полные данные турнира (в формате, совместимом с фронтендом)
 export function getTournamentData(tournamentId) {
   const tournament = db.prepare('SELECT * FROM tournaments WHERE id = ?').get(tournamentId);
   if (!tournament) return null;
 
-  // Получаем сезон для названия турнира
-  const season = db.prepare('SELECT * FROM seasons WHERE id = ?').get(tournament.season_id);
+  // Получаем сезон для названия турнира и правил подсчёта таблиц
+  const seasonRow = db.prepare('SELECT * FROM seasons WHERE id = ?').get(tournament.season_id);
+  const season = seasonRow ? formatSeason(seasonRow) : null;
 
   const leagues = db.prepare('SELECT * FROM leagues WHERE tournament_id = ? ORDER BY sort_order').all(tournamentId);
 
@@ -62,40 +140,23 @@ export function getTournamentData(tournamentId) {
     league.groups = db.prepare('SELECT * FROM groups WHERE league_id = ?').all(league.id);
 
     for (const group of league.groups) {
+      group.tiebreak_order = group.tiebreak_order ? JSON.parse(group.tiebreak_order) : [];
       const rawMatches = db.prepare(`
-        SELECT
-          m.*,
-          p1.name as team1_player1_name,
-          p2.name as team1_player2_name,
-          p3.name as team2_player1_name,
-          p4.name as team2_player2_name,
-          ref.name as referee_name
-        FROM matches m
-        JOIN players p1 ON m.team1_player1_id = p1.id
-        JOIN players p2 ON m.team1_player2_id = p2.id
-        JOIN players p3 ON m.team2_player1_id = p3.id
-        JOIN players p4 ON m.team2_player2_id = p4.id
-        LEFT JOIN players ref ON m.referee_id = ref.id
+        ${MATCH_SELECT}
         WHERE m.group_id = ?
         ORDER BY m.match_number
       `).all(group.id);
 
       // Преобразуем в формат, совместимый с фронтендом
-      group.matches = rawMatches.map(m => ({
-        id: m.match_number,
-        court: m.court,
-        round: m.round,
-        team1: [m.team1_player1_name, m.team1_player2_name],
-        team2: [m.team2_player1_name, m.team2_player2_name],
-        score: [m.score1, m.score2],
-        referee: m.referee_name
-      }));
+      group.matches = rawMatches.map(formatMatch);
     }
 
     // Плейофф отдельно
     const playoffGroup = league.groups.find(g => g.stage === 'playoff');
     if (playoffGroup) {
       league.playoff = {
+        id: playoffGroup.id,
+        name: playoffGroup.name,
         stage: 'playoff',
         matches: playoffGroup.matches
       };
@@ -105,10 +166,16 @@ export function getTournamentData(tournamentId) {
 
   // Возвращаем в формате, совместимом с фронтендом
   return {
+    id: tournament.id,
+    seasonId: tournament.season_id,
+    stageNumber: tournament.stage_number,
+    name: tournament.name,
     tournament: season ? `${season.name}` : tournament.name,
     date: tournament.date,
     format: tournament.format,
     pairing: tournament.pairing,
+    scoringRules: season?.scoring_rules ?? normalizeScoringRules(null),
+    tiebreakers: season?.tiebreakers ?? DEFAULT_TIEBREAKERS,
     leagues
   };
 }
@@ -141,47 +208,28 @@ export function getPlayerStats(playerId) {
   return { ...player, matches };
 }
 
-// Рассчитать очки по итальянской системе
-function getItalianPoints(myScore, oppScore) {
-  if (myScore === oppScore) return 0;
-  const diff = Math.abs(myScore - oppScore);
-  const isBalanced = diff === 2;
-  if (myScore > oppScore) {
-    return isBalanced ? 2 : 3;
-  } else {
-    return isBalanced ? 1 : 0;
-  }
-}
-
 // Получить сводный рейтинг сезона
 export function getSeasonRating(seasonId) {
-  const season = db.prepare('SELECT * FROM seasons WHERE id = ?').get(seasonId);
-  if (!season) return null;
+  const seasonRow = db.prepare('SELECT * FROM seasons WHERE id = ?').get(seasonId);
+  if (!seasonRow) return null;
+  const season = formatSeason(seasonRow);
+  const rules = season.scoring_rules;
 
   // Получаем все турниры сезона
   const tournaments = db.prepare(`
     SELECT * FROM tournaments WHERE season_id = ? ORDER BY stage_number, date
   `).all(seasonId);
 
-  // Структура этапов (10 этапов + финал)
-  const stages = [];
-  for (let i = 1; i <= 10; i++) {
-    const tournament = tournaments.find(t => t.stage_number === i);
-    stages.push({
-      stageNumber: i,
-      name: `${i} этап`,
+  // Этапы из структуры сезона (по умолчанию 10 этапов + финал), турнир — по stage_number
+  const stages = season.stages.map(stage => {
+    const tournament = tournaments.find(t => t.stage_number === stage.stageNumber);
+    return {
+      ...stage,
       tournamentId: tournament?.id || null,
       date: tournament?.date || null
-    });
-  }
-  // Добавляем финал
-  const finalTournament = tournaments.find(t => t.stage_number === null);
-  stages.push({
-    stageNumber: null,
-    name: 'Финал',
-    tournamentId: finalTournament?.id || null,
-    date: finalTournament?.date || null
+    };
   });
+  const stageKeys = new Set(stages.map(s => s.key));
 
   // Получаем все матчи сезона с детализацией
   const allMatches = db.prepare(`
@@ -210,7 +258,9 @@ export function getSeasonRating(seasonId) {
   const playersMap = new Map();
 
   for (const match of allMatches) {
-    const stageKey = match.stage_number || 'final';
+    const stageKey = match.stage_number ?? 'final';
+    // Турнир вне структуры сезона в рейтинг не входит (см. check-integrity)
+    if (!stageKeys.has(stageKey)) continue;
     const team1Won = match.score1 > match.score2;
 
     // Обрабатываем team1
@@ -231,18 +281,18 @@ export function getSeasonRating(seasonId) {
       if (!p.stages[stageKey]) {
         p.stages[stageKey] = { points: 0, matches: [] };
       }
-      const pts = getItalianPoints(match.score1, match.score2);
+      const pts = getMatchPoints(match.score1, match.score2, rules);
       p.stages[stageKey].points += pts;
       p.stages[stageKey].matches.push({
         partner: player.id === match.p1_id ? match.p2_name : match.p1_name,
         vs: `${match.p3_name} + ${match.p4_name}`,
         score: `${match.score1}:${match.score2}`,
         won: team1Won,
+        draw: match.score1 === match.score2,
         diff: Math.abs(match.score1 - match.score2),
         points: pts,
         stage: match.group_stage
       });
-      p.total += pts;
     });
 
     // Обрабатываем team2
@@ -263,21 +313,35 @@ export function getSeasonRating(seasonId) {
       if (!p.stages[stageKey]) {
         p.stages[stageKey] = { points: 0, matches: [] };
       }
-      const pts = getItalianPoints(match.score2, match.score1);
+      const pts = getMatchPoints(match.score2, match.score1, rules);
       p.stages[stageKey].points += pts;
       p.stages[stageKey].matches.push({
         partner: player.id === match.p3_id ? match.p4_name : match.p3_name,
         vs: `${match.p1_name} + ${match.p2_name}`,
         score: `${match.score2}:${match.score1}`,
-        won: !team1Won,
+        won: match.score2 > match.score1,
+        draw: match.score1 === match.score2,
         diff: Math.abs(match.score1 - match.score2),
         points: pts,
         stage: match.group_stage
       });
-      p.total += pts;
     });
   }
 
+  // Текущий Elo (тот же, что на странице сквозного рейтинга)
+  const eloRows = db.prepare('SELECT player_id, rating FROM player_ratings').all();
+  const eloByPlayer = new Map(eloRows.map(r => [r.player_id, r.rating]));
+  playersMap.forEach(p => {
+    p.rating = eloByPlayer.get(p.id) ?? null;
+  });
+
+  // Сумма сезона: веса этапов и правило «лучшие N этапов»
+  playersMap.forEach(p => {
+    const { gross, total } = calculateSeasonTotal(p.stages, stages, season.best_stages ?? null);
+    p.grossTotal = gross;
+    p.total = total;
+  });
+
   // Конвертируем в массив и сортируем по total
   const players = Array.from(playersMap.values())
     .sort((a, b) => b.total - a.total);
@@ -0,0 +1,93 @@
+import db, { getTournamentData, formatSeason } from './index.js';
+import { validateTournamentData } from '../../src/modules/validator.js';
+
+// Проверка целостности данных в БД: матчи каждого турнира проверяются тем же
+// валидатором, что и импортируемые файлы (src/modules/validator.js), плюс
+// проверки уровня сезона и справочника игроков
+
+function tournamentLocation(t) {
+  return `${t.season_name} ${t.season_year} / ${t.name} (${t.date}, ID ${t.id})`;
+}
+
+/**
+ * Найти аномалии в данных
+ * @returns {{errors: Array, warnings: Array}} Проблемы — { severity, location, message }
+ */
+export function checkIntegrity() {
+  const issues = [];
+
+  const tournaments = db.prepare(`
+    SELECT t.*, s.name as season_name, s.year as season_year
+    FROM tournaments t
+    JOIN seasons s ON t.season_id = s.id
+    ORDER BY s.id, t.date, t.id
+  `).all();
+
+  // Матчи: дубли номеров, игрок с двух сторон, судья в своём матче, ничьи, порядок раундов
+  for (const t of tournaments) {
+    const data = getTournamentData(t.id);
+    const location = tournamentLocation(t);
+    const { errors, warnings } = validateTournamentData(data);
+    for (const issue of [...errors, ...warnings]) {
+      issues.push({ ...issue, location: `${location} / ${issue.location}` });
+    }
+
+    const matchCount = data.leagues.reduce((sum, l) =>
+      sum + l.groups.reduce((s, g) => s + g.matches.length, 0) + (l.playoff?.matches.length || 0), 0);
+    if (matchCount === 0) {
+      issues.push({ severity: 'warning', location, message: 'в турнире нет матчей' });
+    } else if (!data.leagues.some(l => l.playoff && l.playoff.matches.length > 0)) {
+      issues.push({ severity: 'warning', location, message: 'в турнире нет плей-офф' });
+    }
+  }
+
+  // Турниры, не попавшие в структуру сезона, не входят в рейтинг сезона
+  const seasons = new Map(db.prepare('SELECT * FROM seasons').all().map(s => [s.id, formatSeason(s)]));
+  for (const t of tournaments) {
+    const stages = seasons.get(t.season_id).stages;
+    if (!stages.some(stage => stage.stageNumber === t.stage_number)) {
+      issues.push({
+        severity: 'warning',
+        location: tournamentLocation(t),
+        message: `номера этапа ${t.stage_number ?? 'null (финал)'} нет в структуре сезона — турнир не входит в рейтинг сезона`
+      });
+    }
+  }
+
+  // Два турнира с одним номером этапа в сезоне (или два финала)
+  const collisions = db.prepare(`
+    SELECT t.season_id, t.stage_number, s.name as season_name, s.year as season_year,
+      GROUP_CONCAT(t.id, ', ') as ids, COUNT(*) as count
+    FROM tournaments t
+    JOIN seasons s ON t.season_id = s.id
+    GROUP BY t.season_id, t.stage_number
+    HAVING COUNT(*) > 1
+  `).all();
+  for (const c of collisions) {
+    const stage = seasons.get(c.season_id).stages.find(s => s.stageNumber === c.stage_number)?.name ||
+      (c.stage_number === null ? 'финал' : `этап ${c.stage_number}`);
+    issues.push({
+      severity: 'error',
+      location: `${c.season_name} ${c.season_year}`,
+      message: `${stage} встречается ${c.count} раза (турниры ID ${c.ids})`
+    });
+  }
+
+  // Игроки без единого матча (ни игроком, ни судьёй) — обычно остаются после переименований
+  const orphans = db.prepare(`
+    SELECT p.id, p.name FROM players p
+    WHERE NOT EXISTS (
+      SELECT 1 FROM matches m
+      WHERE p.id IN (m.team1_player1_id, m.team1_player2_id, m.team2_player1_id, m.team2_player2_id, m.referee_id)
+    )
+    ORDER BY p.name
+  `).all();
+  for (const p of orphans) {
+    issues.push({ severity: 'warning', location: `игрок «${p.name}» (ID ${p.id})`, message: 'нет ни одного матча' });
+  }
+
+  return {
+    errors: issues.filter(issue => issue.severity === 'error'),
+    warnings: issues.filter(issue => issue.severity === 'warning')
+  };
+}
@@ -0,0 +1,61 @@
+import { readdirSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+// Версионные миграции схемы: файлы db/migrations/NNNN_описание.sql применяются
+// по порядку номеров, каждый в своей транзакции, и записываются в schema_migrations.
+// Применённую миграцию не редактируют — изменения схемы оформляются новым файлом.
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const MIGRATIONS_DIR = join(__dirname, 'migrations');
+
+const MIGRATION_FILE = /^(\d{4})_[\w-]+\.sql$/;
+
+// Все миграции из каталога по возрастанию версии
+export function getMigrations() {
+  return readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE.test(file))
+    .sort()
+    .map(file => ({
+      version: parseInt(file.match(MIGRATION_FILE)[1], 10),
+      name: file,
+      path: join(MIGRATIONS_DIR, file)
+    }));
+}
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Применённые миграции: version → { name, applied_at }
+export function getAppliedMigrations(db) {
+  ensureMigrationsTable(db);
+  const rows = db.prepare('SELECT * FROM schema_migrations ORDER BY version').all();
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+/**
+ * Применить недостающие миграции
+ * @param {Database} db - Подключение better-sqlite3
+ * @returns {string[]} Имена применённых сейчас миграций
+ */
+export function runMigrations(db) {
+  const applied = getAppliedMigrations(db);
+  const pending = getMigrations().filter(m => !applied.has(m.version));
+
+  for (const migration of pending) {
+    const sql = readFileSync(migration.path, 'utf-8');
+    db.transaction(() => {
+      db.exec(sql);
+      db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+    })();
+  }
+
+  return pending.map(m => m.name);
+}
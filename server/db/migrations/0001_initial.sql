@@ -0,0 +1,154 @@
+-- Миграция 0001: исходная схема базы данных Beach Volleyball Elo Rating
+-- (бывший schema.sql; IF NOT EXISTS — чтобы без ошибок примениться к уже существующей базе)
+
+-- Сезоны (например: VIII NAGORNAYA GRAND PRIX 2026)
+CREATE TABLE IF NOT EXISTS seasons (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  year INTEGER NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Турниры (этапы сезона)
+CREATE TABLE IF NOT EXISTS tournaments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  season_id INTEGER NOT NULL,
+  stage_number INTEGER, -- 1-10, NULL для финала
+  name TEXT NOT NULL, -- "1 этап", "Финал" и т.д.
+  date DATE NOT NULL,
+  format TEXT NOT NULL CHECK (format IN ('mixed', 'same_sex')), -- Микст или ММ|ЖЖ
+  pairing TEXT NOT NULL CHECK (pairing IN ('random', 'fixed')), -- Рандомный или Фиксированный
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (season_id) REFERENCES seasons(id)
+);
+
+-- Лиги (Высшая, Первая и т.д.)
+CREATE TABLE IF NOT EXISTS leagues (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tournament_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  sort_order INTEGER DEFAULT 0,
+  FOREIGN KEY (tournament_id) REFERENCES tournaments(id)
+);
+
+-- Группы (A, B и т.д.)
+CREATE TABLE IF NOT EXISTS groups (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  league_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  stage TEXT NOT NULL CHECK (stage IN ('qualification', 'playoff')),
+  FOREIGN KEY (league_id) REFERENCES leagues(id)
+);
+
+-- Игроки
+CREATE TABLE IF NOT EXISTS players (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE,
+  gender TEXT CHECK (gender IN ('male', 'female')),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Матчи
+CREATE TABLE IF NOT EXISTS matches (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  group_id INTEGER NOT NULL,
+  match_number INTEGER, -- порядковый номер в группе
+  court INTEGER,
+  round TEXT, -- NULL для квалификации, '1/8', '1/4', 'semifinal', 'final', '3rd_place' для плейофф
+  team1_player1_id INTEGER NOT NULL,
+  team1_player2_id INTEGER NOT NULL,
+  score1 INTEGER NOT NULL,
+  score2 INTEGER NOT NULL,
+  team2_player1_id INTEGER NOT NULL,
+  team2_player2_id INTEGER NOT NULL,
+  referee_id INTEGER,
+  FOREIGN KEY (group_id) REFERENCES groups(id),
+  FOREIGN KEY (team1_player1_id) REFERENCES players(id),
+  FOREIGN KEY (team1_player2_id) REFERENCES players(id),
+  FOREIGN KEY (team2_player1_id) REFERENCES players(id),
+  FOREIGN KEY (team2_player2_id) REFERENCES players(id),
+  FOREIGN KEY (referee_id) REFERENCES players(id)
+);
+
+-- Индексы для быстрого поиска
+CREATE INDEX IF NOT EXISTS idx_tournaments_season ON tournaments(season_id);
+CREATE INDEX IF NOT EXISTS idx_leagues_tournament ON leagues(tournament_id);
+CREATE INDEX IF NOT EXISTS idx_groups_league ON groups(league_id);
+CREATE INDEX IF NOT EXISTS idx_matches_group ON matches(group_id);
+CREATE INDEX IF NOT EXISTS idx_players_name ON players(name);
+
+-- Пользователи (организаторы и зрители)
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL, -- scrypt: "salt:hash" в hex
+  role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('organizer', 'viewer')),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Сессии (токены для заголовка Authorization: Bearer <token>)
+CREATE TABLE IF NOT EXISTS sessions (
+  token TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  expires_at DATETIME NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+
+-- Изменения Elo по матчам (пересчитываются целиком при каждом изменении данных)
+CREATE TABLE IF NOT EXISTS rating_changes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  seq INTEGER NOT NULL, -- порядковый номер матча в хронологии
+  match_id INTEGER NOT NULL,
+  player_id INTEGER NOT NULL,
+  rating_before INTEGER NOT NULL,
+  rating_after INTEGER NOT NULL,
+  change INTEGER NOT NULL,
+  UNIQUE (match_id, player_id),
+  FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE CASCADE,
+  FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE
+);
+
+-- Текущий Elo игроков
+CREATE TABLE IF NOT EXISTS player_ratings (
+  player_id INTEGER PRIMARY KEY,
+  rating INTEGER NOT NULL,
+  games_played INTEGER NOT NULL DEFAULT 0,
+  last_change INTEGER NOT NULL DEFAULT 0,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_changes_player ON rating_changes(player_id, seq);
+
+-- Альтернативные написания имён игроков (сокращения, опечатки, старые имена)
+CREATE TABLE IF NOT EXISTS player_aliases (
+  alias TEXT PRIMARY KEY,
+  player_id INTEGER NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_aliases_player ON player_aliases(player_id);
+
+-- Известные сокращения имён (раньше были захардкожены в src/modules/dataManager.js):
+-- сокращение → полное имя. В отличие от player_aliases не требует записи игрока —
+-- новый игрок сразу заводится под полным именем (см. normalizePlayerName в db/index.js)
+CREATE TABLE IF NOT EXISTS name_normalizations (
+  alias TEXT PRIMARY KEY,
+  name TEXT NOT NULL
+);
+
+INSERT OR IGNORE INTO name_normalizations (alias, name) VALUES
+  ('Преображенская Ек.', 'Преображенская Екатерина'),
+  ('Подковырина Вас.', 'Подковырина Василиса'),
+  ('Захарченко Вл.', 'Захарченко Владимир');
+
+-- Игрок, уже заведённый под сокращением, переименовывается в полное имя
+UPDATE players SET name = (SELECT n.name FROM name_normalizations n WHERE n.alias = players.name)
+  WHERE name IN (SELECT alias FROM name_normalizations)
+    AND NOT EXISTS (
+      SELECT 1 FROM players p JOIN name_normalizations n ON n.name = p.name WHERE n.alias = players.name
+    );
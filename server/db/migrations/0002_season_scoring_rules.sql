@@ -0,0 +1,4 @@
+-- Миграция 0002: правила начисления очков сезона
+-- JSON { win, balanceWin, balanceLoss, loss, balanceMargin } (см. src/modules/scoring.js);
+-- NULL или пропущенные поля — значения по умолчанию 3/2/1/0 с балансом в 2 очка
+ALTER TABLE seasons ADD COLUMN scoring_rules TEXT;
@@ -0,0 +1,4 @@
+-- Миграция 0003: структура сезона
+-- JSON-массив этапов [{ stageNumber, name, short, weight, counted }] (см. server/utils/season-stages.js);
+-- NULL — 10 этапов + финал
+ALTER TABLE seasons ADD COLUMN stages TEXT;
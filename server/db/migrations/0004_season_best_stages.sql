@@ -0,0 +1,3 @@
+-- Миграция 0004: правило «лучшие N этапов» для суммы сезона
+-- NULL — в сумму идут все этапы (см. calculateSeasonTotal в server/utils/season-stages.js)
+ALTER TABLE seasons ADD COLUMN best_stages INTEGER;
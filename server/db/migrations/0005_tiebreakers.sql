@@ -0,0 +1,5 @@
+-- Миграция 0005: тай-брейки в таблицах групп
+-- seasons.tiebreakers — JSON-цепочка ключей (см. src/modules/standings.js), NULL — цепочка по умолчанию;
+-- groups.tiebreak_order — JSON-список имён игроков в порядке, заданном организатором
+ALTER TABLE seasons ADD COLUMN tiebreakers TEXT;
+ALTER TABLE groups ADD COLUMN tiebreak_order TEXT;
@@ -0,0 +1,5 @@
+-- Миграция 0006: настройки расчёта Elo по сезонам
+-- seasons.rating_config — JSON (см. server/utils/rating-config.js), NULL — настройки по умолчанию;
+-- rating_changes.margin_change — часть изменения, пришедшая от множителя разницы счёта
+ALTER TABLE seasons ADD COLUMN rating_config TEXT;
+ALTER TABLE rating_changes ADD COLUMN margin_change INTEGER NOT NULL DEFAULT 0;
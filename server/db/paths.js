@@ -0,0 +1,8 @@
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+// Расположение файла БД и резервных копий; переопределяются переменными окружения
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DB_PATH = process.env.DB_PATH || join(__dirname, 'volleyball.db');
+export const BACKUP_DIR = process.env.BACKUP_DIR || join(__dirname, '..', 'backups');
@@ -0,0 +1,135 @@
+import db, { cleanPlayerName, findPlayerByName } from './index.js';
+import { httpError } from '../utils/errors.js';
+
+// Управление игроками: псевдонимы, переименование и объединение записей
+
+// Столбцы matches, ссылающиеся на игроков
+const MATCH_PLAYER_COLUMNS = [
+  'team1_player1_id', 'team1_player2_id',
+  'team2_player1_id', 'team2_player2_id',
+  'referee_id'
+];
+
+function getPlayer(playerId) {
+  return db.prepare('SELECT * FROM players WHERE id = ?').get(playerId) || null;
+}
+
+// Порядок организатора в группах (groups.tiebreak_order) хранит имена игроков —
+// при переименовании и объединении старое имя заменяется новым
+function renameInTiebreakOrders(oldName, newName) {
+  const groups = db.prepare(`
+    SELECT g.id, g.tiebreak_order FROM groups g
+    WHERE EXISTS (SELECT 1 FROM json_each(g.tiebreak_order) WHERE value = ?)
+  `).all(oldName);
+  for (const group of groups) {
+    const order = JSON.parse(group.tiebreak_order).map(name => (name === oldName ? newName : name));
+    db.prepare('UPDATE groups SET tiebreak_order = ? WHERE id = ?').run(JSON.stringify([...new Set(order)]), group.id);
+  }
+}
+
+// Игрок вместе со списком псевдонимов
+export function getPlayerWithAliases(playerId) {
+  const player = getPlayer(playerId);
+  if (!player) return null;
+  return { ...player, aliases: getPlayerAliases(playerId) };
+}
+
+export function getPlayerAliases(playerId) {
+  return db.prepare('SELECT alias FROM player_aliases WHERE player_id = ? ORDER BY alias')
+    .all(playerId)
+    .map(row => row.alias);
+}
+
+// Добавить псевдоним; если под этим именем уже есть отдельный игрок — нужно объединение
+export function addPlayerAlias(playerId, alias) {
+  return db.transaction(() => {
+    if (!getPlayer(playerId)) return null;
+
+    const cleanAlias = cleanPlayerName(alias);
+    const ownerId = findPlayerByName(cleanAlias);
+    if (ownerId && ownerId !== Number(playerId)) {
+      throw httpError(409, `Имя «${cleanAlias}» уже занято другим игроком (ID ${ownerId}) — используйте объединение`);
+    }
+    if (!ownerId) {
+      db.prepare('INSERT INTO player_aliases (alias, player_id) VALUES (?, ?)').run(cleanAlias, playerId);
+    }
+    return getPlayerWithAliases(playerId);
+  })();
+}
+
+export function removePlayerAlias(playerId, alias) {
+  const result = db.prepare('DELETE FROM player_aliases WHERE player_id = ? AND alias = ?').run(playerId, alias);
+  return result.changes > 0 ? getPlayerWithAliases(playerId) : null;
+}
+
+// Переименовать игрока; старое имя остаётся псевдонимом, история матчей не меняется
+export function renamePlayer(playerId, newName) {
+  return db.transaction(() => {
+    const player = getPlayer(playerId);
+    if (!player) return null;
+
+    const cleanName = cleanPlayerName(newName);
+    if (cleanName === player.name) return getPlayerWithAliases(playerId);
+
+    const ownerId = findPlayerByName(cleanName);
+    if (ownerId && ownerId !== player.id) {
+      throw httpError(409, `Имя «${cleanName}» уже занято другим игроком (ID ${ownerId}) — используйте объединение`);
+    }
+
+    db.prepare('DELETE FROM player_aliases WHERE alias = ?').run(cleanName);
+    db.prepare('UPDATE players SET name = ? WHERE id = ?').run(cleanName, playerId);
+    db.prepare('INSERT OR IGNORE INTO player_aliases (alias, player_id) VALUES (?, ?)').run(player.name, playerId);
+    renameInTiebreakOrders(player.name, cleanName);
+    return getPlayerWithAliases(playerId);
+  })();
+}
+
+// Исправить пол игрока ('male', 'female' или null — неизвестен)
+export function setPlayerGender(playerId, gender) {
+  const result = db.prepare('UPDATE players SET gender = ? WHERE id = ?').run(gender, playerId);
+  return result.changes > 0 ? getPlayerWithAliases(playerId) : null;
+}
+
+// Обновить имя и/или пол игрока
+export function updatePlayer(playerId, { name, gender }) {
+  return db.transaction(() => {
+    if (!getPlayer(playerId)) return null;
+    if (name !== undefined) renamePlayer(playerId, name);
+    if (gender !== undefined) setPlayerGender(playerId, gender);
+    return getPlayerWithAliases(playerId);
+  })();
+}
+
+// Объединить игрока sourceId с targetId: все ссылки в matches (включая судей)
+// переводятся на targetId, имя и псевдонимы sourceId становятся псевдонимами targetId
+export function mergePlayers(targetId, sourceId) {
+  return db.transaction(() => {
+    const target = getPlayer(targetId);
+    const source = getPlayer(sourceId);
+    if (!target || !source) return null;
+    if (target.id === source.id) {
+      throw httpError(400, 'Нельзя объединить игрока с самим собой');
+    }
+
+    // Оба игрока в одном матче — это точно разные люди
+    const participants = MATCH_PLAYER_COLUMNS.map(c => `m.${c}`).join(', ');
+    const conflicts = db.prepare(`
+      SELECT m.id FROM matches m
+      WHERE ? IN (${participants}) AND ? IN (${participants})
+    `).all(target.id, source.id);
+    if (conflicts.length > 0) {
+      throw httpError(409, `Игроки встречаются в одних и тех же матчах (ID: ${conflicts.map(m => m.id).join(', ')})`);
+    }
+
+    for (const column of MATCH_PLAYER_COLUMNS) {
+      db.prepare(`UPDATE matches SET ${column} = ? WHERE ${column} = ?`).run(target.id, source.id);
+    }
+    db.prepare('UPDATE player_aliases SET player_id = ? WHERE player_id = ?').run(target.id, source.id);
+    db.prepare('UPDATE players SET gender = COALESCE(gender, ?) WHERE id = ?').run(source.gender, target.id);
+    db.prepare('DELETE FROM players WHERE id = ?').run(source.id);
+    db.prepare('INSERT OR IGNORE INTO player_aliases (alias, player_id) VALUES (?, ?)').run(source.name, target.id);
+    renameInTiebreakOrders(source.name, target.name);
+
+    return getPlayerWithAliases(target.id);
+  })();
+}
@@ -0,0 +1,411 @@
+import db from './index.js';
+import { normalizeRatingConfig, getEloParams } from '../utils/rating-config.js';
+import { processAllMatches, getWinner } from '../../src/modules/elo.js';
+import { processAllMatches as processGlickoMatches } from '../../src/modules/glicko2.js';
+
+// Серверный расчёт Elo: все матчи БД прогоняются через src/modules/elo.js,
+// результат сохраняется в rating_changes и player_ratings
+
+// Хронологический порядок матчей: как в parseRawTournamentData —
+// турниры по дате, лиги по порядку, сначала группы, затем плейофф
+export const CHRONOLOGICAL_ORDER = `
+  t.date, t.id, l.sort_order, l.id,
+  CASE g.stage WHEN 'playoff' THEN 1 ELSE 0 END, g.id,
+  m.match_number, m.id
+`;
+
+// Получить матчи БД в формате elo.js (ID игроков — строки, ключи объектов);
+// cutoff — условие отбора из buildCutoff, без него — все матчи
+export function getMatchesForRating(cutoff = { where: '', params: [] }) {
+  const rows = db.prepare(`
+    SELECT
+      m.id, m.score1, m.score2,
+      m.team1_player1_id, m.team1_player2_id,
+      m.team2_player1_id, m.team2_player2_id,
+      t.date, s.rating_config
+    FROM matches m
+    JOIN groups g ON m.group_id = g.id
+    JOIN leagues l ON g.league_id = l.id
+    JOIN tournaments t ON l.tournament_id = t.id
+    JOIN seasons s ON t.season_id = s.id
+    ${cutoff.where}
+    ORDER BY ${CHRONOLOGICAL_ORDER}
+  `).all(...cutoff.params);
+
+  // Настройки Elo сезона: у всех матчей сезона одна строка rating_config
+  const configs = new Map();
+  const ratingConfig = json => {
+    if (!configs.has(json)) {
+      const config = json ? JSON.parse(json) : null;
+      configs.set(json, { marginOfVictory: normalizeRatingConfig(config).marginOfVictory, eloParams: getEloParams(config) });
+    }
+    return configs.get(json);
+  };
+
+  // Ничьи (например, 15:15) учитываются как 0.5 для обеих команд
+  return rows.map(m => ({
+    id: m.id,
+    date: m.date,
+    team1: [String(m.team1_player1_id), String(m.team1_player2_id)],
+    team2: [String(m.team2_player1_id), String(m.team2_player2_id)],
+    score: [m.score1, m.score2],
+    winner: getWinner([m.score1, m.score2]),
+    ...ratingConfig(m.rating_config)
+  }));
+}
+
+// Пересчитать Elo всех игроков по всем матчам БД
+export function recalculateRatings() {
+  const { players, matches } = processAllMatches(getMatchesForRating());
+
+  const insertChange = db.prepare(`
+    INSERT INTO rating_changes (seq, match_id, player_id, rating_before, rating_after, change, margin_change)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const insertRating = db.prepare(`
+    INSERT INTO player_ratings (player_id, rating, games_played, last_change)
+    VALUES (?, ?, ?, ?)
+  `);
+
+  // seq — номер матча в общей хронологии
+  const seqByMatch = new Map(matches.map((match, index) => [match.id, index + 1]));
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM rating_changes').run();
+    db.prepare('DELETE FROM player_ratings').run();
+
+    for (const player of players) {
+      player.ratingHistory.forEach((entry, index) => {
+        if (!entry.matchId) return;
+        const before = player.ratingHistory[index - 1].rating;
+        insertChange.run(
+          seqByMatch.get(entry.matchId), entry.matchId, player.id, before, entry.rating, entry.change, entry.marginChange
+        );
+      });
+      insertRating.run(player.id, player.currentRating, player.gamesPlayed, player.lastChange);
+    }
+  })();
+
+  return { players: players.length, matches: matches.length };
+}
+
+// Действующие настройки Elo: сезона указанного турнира, без турнира — сезона последнего турнира
+function getActiveRatingConfig(tournament = getLastTournament()) {
+  const season = tournament && db.prepare(`
+    SELECT s.rating_config FROM seasons s
+    JOIN tournaments t ON t.season_id = s.id
+    WHERE t.id = ?
+  `).get(tournament.id);
+  return normalizeRatingConfig(season?.rating_config ? JSON.parse(season.rating_config) : null);
+}
+
+// Преобразовать строку player_ratings в формат игрока processAllMatches
+function formatRatingRow(row, ratingConfig) {
+  return {
+    id: row.id,
+    name: row.name,
+    gender: row.gender,
+    currentRating: row.rating,
+    gamesPlayed: row.games_played,
+    isCalibrated: row.games_played >= ratingConfig.calibrationGames,
+    lastChange: row.last_change
+  };
+}
+
+// Получить таблицу Elo (по убыванию рейтинга); с фильтром — на момент времени (см. getRatingDetails)
+export function getRatings(filter = {}) {
+  if (filter.tournamentId || filter.to) {
+    const details = getRatingDetails(filter);
+    return details && details.players.map(({ ratingHistory, ...player }) => player);
+  }
+
+  const ratingConfig = getActiveRatingConfig();
+  return db.prepare(`
+    SELECT p.id, p.name, p.gender, r.rating, r.games_played, r.last_change
+    FROM player_ratings r
+    JOIN players p ON r.player_id = p.id
+    ORDER BY r.rating DESC, p.name
+  `).all().map(row => formatRatingRow(row, ratingConfig));
+}
+
+// Получить историю Elo игрока (формат ratingHistory из processAllMatches + детали матчей)
+export function getPlayerRatingHistory(playerId) {
+  const ratingConfig = getActiveRatingConfig();
+  const player = db.prepare(`
+    SELECT p.id, p.name, p.gender,
+      COALESCE(r.rating, ?) as rating,
+      COALESCE(r.games_played, 0) as games_played,
+      COALESCE(r.last_change, 0) as last_change
+    FROM players p
+    LEFT JOIN player_ratings r ON r.player_id = p.id
+    WHERE p.id = ?
+  `).get(ratingConfig.initialRating, playerId);
+  if (!player) return null;
+
+  const changes = db.prepare(`
+    SELECT
+      rc.*, m.score1, m.score2,
+      m.team1_player1_id, m.team1_player2_id,
+      t.id as tournament_id, t.name as tournament_name, t.date,
+      l.name as league_name
+    FROM rating_changes rc
+    JOIN matches m ON rc.match_id = m.id
+    JOIN groups g ON m.group_id = g.id
+    JOIN leagues l ON g.league_id = l.id
+    JOIN tournaments t ON l.tournament_id = t.id
+    WHERE rc.player_id = ?
+    ORDER BY rc.seq
+  `).all(playerId);
+
+  const ratingHistory = changes.map(c => {
+    const isTeam1 = c.team1_player1_id === player.id || c.team1_player2_id === player.id;
+    return {
+      date: c.date,
+      rating: c.rating_after,
+      ratingBefore: c.rating_before,
+      matchId: c.match_id,
+      change: c.change,
+      marginChange: c.margin_change,
+      tournamentId: c.tournament_id,
+      tournament: c.tournament_name,
+      league: c.league_name,
+      score: isTeam1 ? [c.score1, c.score2] : [c.score2, c.score1]
+    };
+  });
+
+  // Начальная точка, как в processAllMatches
+  if (ratingHistory.length > 0) {
+    ratingHistory.unshift({ date: ratingHistory[0].date, rating: ratingHistory[0].ratingBefore, matchId: null, change: 0 });
+  }
+
+  return { ...formatRatingRow(player, ratingConfig), ratingHistory };
+}
+
+// Последний турнир на момент времени: to — по дату включительно, без даты — последний вообще
+function getLastTournament(to = null) {
+  return db.prepare(`
+    SELECT id, date FROM tournaments
+    WHERE ? IS NULL OR date <= ?
+    ORDER BY date DESC, id DESC
+    LIMIT 1
+  `).get(to, to) || null;
+}
+
+// Турнир, предшествующий указанному в хронологии (null для самого первого)
+function getPreviousTournament(tournament) {
+  return db.prepare(`
+    SELECT id, date FROM tournaments
+    WHERE date < ? OR (date = ? AND id < ?)
+    ORDER BY date DESC, id DESC
+    LIMIT 1
+  `).get(tournament.date, tournament.date, tournament.id) || null;
+}
+
+// Условие отбора матчей «на момент времени»:
+// tournamentId — после указанного турнира (включительно), to — по дату включительно.
+// tournament — последний турнир, вошедший в выборку (от него считается динамика)
+function buildCutoff({ tournamentId, to } = {}) {
+  if (tournamentId) {
+    const tournament = db.prepare('SELECT id, date FROM tournaments WHERE id = ?').get(tournamentId);
+    if (!tournament) return null;
+    return {
+      where: 'WHERE (t.date < ? OR (t.date = ? AND t.id <= ?))',
+      params: [tournament.date, tournament.date, tournament.id],
+      tournament,
+      asOf: { tournamentId: tournament.id, date: tournament.date }
+    };
+  }
+  const tournament = getLastTournament(to);
+  if (to) {
+    return {
+      where: 'WHERE t.date <= ?',
+      params: [to],
+      tournament,
+      asOf: { tournamentId: tournament?.id ?? null, date: to }
+    };
+  }
+  return {
+    where: '',
+    params: [],
+    tournament,
+    asOf: { tournamentId: tournament?.id ?? null, date: tournament?.date ?? null }
+  };
+}
+
+// Собрать игроков (с ratingHistory) и матчи (с ratingChanges) по условию отбора
+function loadRatingDetails(cutoff) {
+  const ratingConfig = getActiveRatingConfig(cutoff.tournament);
+  const rows = db.prepare(`
+    SELECT
+      rc.match_id, rc.player_id, rc.rating_before, rc.rating_after, rc.change, rc.margin_change,
+      m.score1, m.score2, m.round,
+      m.team1_player1_id, m.team1_player2_id,
+      m.team2_player1_id, m.team2_player2_id,
+      p.name as player_name, p.gender as player_gender,
+      t.id as tournament_id, t.name as tournament_name, t.date,
+      l.name as league_name, g.name as group_name, g.stage
+    FROM rating_changes rc
+    JOIN matches m ON rc.match_id = m.id
+    JOIN groups g ON m.group_id = g.id
+    JOIN leagues l ON g.league_id = l.id
+    JOIN tournaments t ON l.tournament_id = t.id
+    JOIN players p ON rc.player_id = p.id
+    ${cutoff.where}
+    ORDER BY rc.seq, rc.player_id
+  `).all(...cutoff.params);
+
+  const matchesMap = new Map();
+  const playersMap = new Map();
+
+  for (const row of rows) {
+    if (!matchesMap.has(row.match_id)) {
+      matchesMap.set(row.match_id, {
+        id: row.match_id,
+        date: row.date,
+        tournamentId: row.tournament_id,
+        tournament: row.tournament_name,
+        league: row.league_name,
+        group: row.stage === 'playoff' ? 'playoff' : row.group_name,
+        stage: row.stage,
+        round: row.round,
+        team1: [row.team1_player1_id, row.team1_player2_id],
+        team2: [row.team2_player1_id, row.team2_player2_id],
+        score: [row.score1, row.score2],
+        winner: getWinner([row.score1, row.score2]),
+        ratingChanges: {}
+      });
+    }
+    matchesMap.get(row.match_id).ratingChanges[row.player_id] = row.change;
+
+    if (!playersMap.has(row.player_id)) {
+      playersMap.set(row.player_id, {
+        id: row.player_id,
+        name: row.player_name,
+        gender: row.player_gender,
+        ratingHistory: [{ date: row.date, rating: row.rating_before, matchId: null, change: 0 }]
+      });
+    }
+    playersMap.get(row.player_id).ratingHistory.push({
+      date: row.date,
+      rating: row.rating_after,
+      matchId: row.match_id,
+      change: row.change,
+      marginChange: row.margin_change,
+      tournamentId: row.tournament_id
+    });
+  }
+
+  const players = Array.from(playersMap.values()).map(p => {
+    const last = p.ratingHistory[p.ratingHistory.length - 1];
+    const gamesPlayed = p.ratingHistory.length - 1;
+    return {
+      ...p,
+      currentRating: last.rating,
+      gamesPlayed,
+      isCalibrated: gamesPlayed >= ratingConfig.calibrationGames,
+      lastChange: last.change
+    };
+  }).sort((a, b) => b.currentRating - a.currentRating || a.name.localeCompare(b.name, 'ru'));
+
+  players.forEach((p, index) => {
+    p.rank = index + 1;
+  });
+
+  return { players, matches: Array.from(matchesMap.values()) };
+}
+
+// Добавить игрокам динамику относительно таблицы после предыдущего этапа:
+// previousRank/rankChange (вверх — положительное) и stageChange — изменение рейтинга за этап
+// (для новых игроков — от начального рейтинга, первой точки ratingHistory)
+function addMovement(players, previousPlayers) {
+  const previousById = new Map(previousPlayers.map(p => [p.id, p]));
+
+  for (const player of players) {
+    const previous = previousById.get(player.id);
+    player.isNew = !previous;
+    player.previousRank = previous ? previous.rank : null;
+    player.rankChange = previous ? previous.rank - player.rank : null;
+    player.stageChange = player.currentRating - (previous ? previous.currentRating : player.ratingHistory[0].rating);
+  }
+}
+
+// Получить полные данные Elo на момент времени в формате processAllMatches:
+// игроки с ratingHistory и матчи с ratingChanges (ID игроков — числа из БД),
+// плюс место и динамика относительно предыдущего этапа и действующие настройки Elo (ratingConfig).
+// Возвращает null, если указанный турнир не найден
+export function getRatingDetails(filter = {}) {
+  const cutoff = buildCutoff(filter);
+  if (!cutoff) return null;
+
+  const { players, matches } = loadRatingDetails(cutoff);
+
+  const previousTournament = cutoff.tournament ? getPreviousTournament(cutoff.tournament) : null;
+  const previousPlayers = previousTournament
+    ? loadRatingDetails(buildCutoff({ tournamentId: previousTournament.id })).players
+    : [];
+  addMovement(players, previousPlayers);
+
+  return {
+    asOf: cutoff.asOf,
+    previousTournamentId: previousTournament?.id ?? null,
+    ratingConfig: getActiveRatingConfig(cutoff.tournament),
+    players,
+    matches
+  };
+}
+
+// Glicko-2 на момент времени: в БД не хранится — считается по матчам при запросе
+// (рейтинговый период — игровой день, см. src/modules/glicko2.js)
+function loadGlickoPlayers(cutoff) {
+  const names = new Map(db.prepare('SELECT id, name, gender FROM players').all().map(p => [String(p.id), p]));
+  const { players } = processGlickoMatches(getMatchesForRating(cutoff));
+
+  return players
+    .map(p => ({ ...p, id: Number(p.id), name: names.get(p.id).name, gender: names.get(p.id).gender }))
+    .sort((a, b) => b.currentRating - a.currentRating || a.name.localeCompare(b.name, 'ru'))
+    .map((p, index) => ({ ...p, rank: index + 1 }));
+}
+
+// Получить таблицу Glicko-2 в формате getRatingDetails: игроки с rating, rd, volatility
+// и историей по периодам, матчи — без изменений Elo.
+// Возвращает null, если указанный турнир не найден
+export function getGlickoDetails(filter = {}) {
+  const cutoff = buildCutoff(filter);
+  if (!cutoff) return null;
+
+  const players = loadGlickoPlayers(cutoff);
+  const matches = loadRatingDetails(cutoff).matches.map(({ ratingChanges, ...match }) => match);
+
+  const previousTournament = cutoff.tournament ? getPreviousTournament(cutoff.tournament) : null;
+  const previousPlayers = previousTournament
+    ? loadGlickoPlayers(buildCutoff({ tournamentId: previousTournament.id }))
+    : [];
+  addMovement(players, previousPlayers);
+
+  return {
+    asOf: cutoff.asOf,
+    previousTournamentId: previousTournament?.id ?? null,
+    players,
+    matches
+  };
+}
+
+// Таблица Elo после турнира (как «power rankings»): место, движение и изменение за этап
+export function getRatingSnapshot(tournamentId) {
+  const details = getRatingDetails({ tournamentId });
+  if (!details) return null;
+
+  const tournament = db.prepare('SELECT * FROM tournaments WHERE id = ?').get(tournamentId);
+  const playersInStage = new Set(
+    details.matches.filter(m => m.tournamentId === tournament.id).flatMap(m => [...m.team1, ...m.team2])
+  );
+
+  return {
+    tournament,
+    previousTournamentId: details.previousTournamentId,
+    players: details.players.map(({ ratingHistory, ...player }) => ({
+      ...player,
+      playedInStage: playersInStage.has(player.id)
+    }))
+  };
+}
@@ -0,0 +1,72 @@
+import { getTournamentData } from './index.js';
+import { calculateStandings } from '../../src/modules/standings.js';
+
+// Таблицы групп и посев в плей-офф. Места в группах считаются тем же модулем,
+// что и на странице турнира (src/modules/standings.js), с правилами и тай-брейками сезона
+
+function ballRatio(player) {
+  return player.ballsAgainst === 0 ? Infinity : player.ballsFor / player.ballsAgainst;
+}
+
+// Строка таблицы для API — без детализации матчей
+function standingRow(player) {
+  const { matchDetails, ...row } = player;
+  return row;
+}
+
+/**
+ * Посев в плей-офф: сначала все первые места групп, затем вторые и т.д.;
+ * внутри одного места — по очкам, соотношению и количеству забитых мячей
+ * @param {Array} groups - Группы с таблицами ({ name, standings })
+ * @returns {Array} { seed, name, group, place, italianPoints, ballsFor, ballsAgainst }
+ */
+export function getPlayoffSeeding(groups) {
+  const entries = groups.flatMap(group => group.standings.map(p => ({ ...p, group: group.name })));
+
+  return entries
+    .sort((a, b) =>
+      a.place - b.place ||
+      b.italianPoints - a.italianPoints ||
+      ballRatio(b) - ballRatio(a) ||
+      b.ballsFor - a.ballsFor ||
+      a.name.localeCompare(b.name, 'ru'))
+    .map((p, index) => ({
+      seed: index + 1,
+      name: p.name,
+      group: p.group,
+      place: p.place,
+      italianPoints: p.italianPoints,
+      ballsFor: p.ballsFor,
+      ballsAgainst: p.ballsAgainst
+    }));
+}
+
+/**
+ * Таблицы групп квалификации и посев в плей-офф по лигам турнира
+ * @param {number} tournamentId - ID турнира
+ * @returns {Object|null} { tournamentId, scoringRules, tiebreakers, leagues: [{ id, name, groups, seeding }] }
+ */
+export function getTournamentStandings(tournamentId) {
+  const data = getTournamentData(tournamentId);
+  if (!data) return null;
+
+  const leagues = data.leagues.map(league => {
+    const groups = league.groups.map(group => ({
+      id: group.id,
+      name: group.name,
+      standings: calculateStandings(group.matches, {
+        rules: data.scoringRules,
+        tiebreakers: data.tiebreakers,
+        organizerOrder: group.tiebreak_order
+      }).map(standingRow)
+    }));
+    return { id: league.id, name: league.name, groups, seeding: getPlayoffSeeding(groups) };
+  });
+
+  return {
+    tournamentId: data.id,
+    scoringRules: data.scoringRules,
+    tiebreakers: data.tiebreakers,
+    leagues
+  };
+}
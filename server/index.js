@@ -8,13 +8,33 @@ import db, {
   getPlayerStats,
   getSeasonRating
 } from './db/index.js';
+import {
+  recalculateRatings,
+  getRatings,
+  getRatingDetails,
+  getGlickoDetails,
+  getRatingSnapshot,
+  getPlayerRatingHistory
+} from './db/ratings.js';
+import { getSeasonRatingTable, getEloTable } from './db/exports.js';
+import { getTournamentStandings } from './db/standings.js';
+import { scheduleBackups } from './db/backup.js';
+import { sendTable } from './utils/table-export.js';
+import adminRoutes from './routes/admin.js';
+import authRoutes from './routes/auth.js';
+import playerRoutes from './routes/players.js';
+import { authenticate, protectMutations } from './middleware/auth.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Лимит с запасом: POST /api/admin/bundle принимает всю базу целиком
+app.use(express.json({ limit: '50mb' }));
+app.use('/api', authenticate);
+// Чтение открыто всем, изменения — только организаторам
+app.use('/api', protectMutations);
 
 // === API Routes ===
 
@@ -54,6 +74,20 @@ app.get('/api/seasons/:id/rating', (req, res) => {
   }
 });
 
+// Выгрузить рейтинг сезона в CSV или XLSX
+app.get('/api/seasons/:id/rating.:format(csv|xlsx)', async (req, res) => {
+  try {
+    const table = getSeasonRatingTable(req.params.id);
+    if (!table) {
+      return res.status(404).json({ error: 'Сезон не найден' });
+    }
+    await sendTable(res, table, req.params.format, `season-${req.params.id}-rating`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Ошибка выгрузки рейтинга сезона' });
+  }
+});
+
 // Получить данные турнира
 app.get('/api/tournaments/:id', (req, res) => {
   try {
@@ -68,6 +102,34 @@ app.get('/api/tournaments/:id', (req, res) => {
   }
 });
 
+// Получить таблицы групп турнира (места с тай-брейками) и посев в плей-офф
+app.get('/api/tournaments/:id/standings', (req, res) => {
+  try {
+    const standings = getTournamentStandings(req.params.id);
+    if (!standings) {
+      return res.status(404).json({ error: 'Турнир не найден' });
+    }
+    res.json(standings);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Ошибка расчёта таблиц турнира' });
+  }
+});
+
+// Получить таблицу Elo после турнира с движением мест относительно предыдущего этапа
+app.get('/api/tournaments/:id/ratings', (req, res) => {
+  try {
+    const snapshot = getRatingSnapshot(req.params.id);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Турнир не найден' });
+    }
+    res.json(snapshot);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Ошибка получения рейтинга после турнира' });
+  }
+});
+
 // Получить всех игроков
 app.get('/api/players', (req, res) => {
   try {
@@ -79,6 +141,84 @@ app.get('/api/players', (req, res) => {
   }
 });
 
+// Параметры «на момент времени»: ?tournament=<id> или ?to=YYYY-MM-DD
+function getRatingFilter(query) {
+  return {
+    tournamentId: query.tournament ? parseInt(query.tournament, 10) : null,
+    to: query.to || null
+  };
+}
+
+// Получить таблицу Elo
+app.get('/api/ratings', (req, res) => {
+  try {
+    const ratings = getRatings(getRatingFilter(req.query));
+    if (!ratings) {
+      return res.status(404).json({ error: 'Турнир не найден' });
+    }
+    res.json(ratings);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Ошибка получения рейтинга' });
+  }
+});
+
+// Выгрузить таблицу Elo в CSV или XLSX (те же параметры ?tournament= и ?to=)
+app.get('/api/ratings.:format(csv|xlsx)', async (req, res) => {
+  try {
+    const table = getEloTable(getRatingFilter(req.query));
+    if (!table) {
+      return res.status(404).json({ error: 'Турнир не найден' });
+    }
+    await sendTable(res, table, req.params.format, 'elo-rating');
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Ошибка выгрузки рейтинга' });
+  }
+});
+
+// Получить Elo с историей игроков и матчами (для страницы сквозного рейтинга)
+app.get('/api/ratings/details', (req, res) => {
+  try {
+    const details = getRatingDetails(getRatingFilter(req.query));
+    if (!details) {
+      return res.status(404).json({ error: 'Турнир не найден' });
+    }
+    res.json(details);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Ошибка получения рейтинга' });
+  }
+});
+
+// Получить Glicko-2 (рейтинг, RD, волатильность) с историей по игровым дням — те же ?tournament= и ?to=
+app.get('/api/ratings/glicko', (req, res) => {
+  try {
+    const details = getGlickoDetails(getRatingFilter(req.query));
+    if (!details) {
+      return res.status(404).json({ error: 'Турнир не найден' });
+    }
+    res.json(details);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Ошибка получения рейтинга' });
+  }
+});
+
+// Получить историю Elo игрока
+app.get('/api/players/:id/history', (req, res) => {
+  try {
+    const history = getPlayerRatingHistory(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'Игрок не найден' });
+    }
+    res.json(history);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Ошибка получения истории рейтинга' });
+  }
+});
+
 // Получить статистику игрока
 app.get('/api/players/:id', (req, res) => {
   try {
@@ -93,11 +233,24 @@ app.get('/api/players/:id', (req, res) => {
   }
 });
 
+// === Auth Routes ===
+app.use('/api', authRoutes);
+
+// === Admin Routes (создание, изменение, удаление; только организаторы) ===
+app.use('/api', adminRoutes);
+app.use('/api', playerRoutes);
+
 // Healthcheck
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Пересчёт Elo при старте (данные могли измениться через импорт)
+recalculateRatings();
+
+// Резервное копирование по расписанию (BACKUP_DIR, BACKUP_INTERVAL_HOURS, BACKUP_KEEP_DAYS)
+scheduleBackups(db);
+
 // Запуск сервера
 app.listen(PORT, () => {
   console.log(`🏐 Beach Volley API запущен на порту ${PORT}`);
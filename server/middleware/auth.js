@@ -0,0 +1,51 @@
+import { getUserByToken } from '../db/auth.js';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Маршруты, которые доступны без авторизации несмотря на метод
+const PUBLIC_MUTATING_PATHS = ['/auth/login', '/auth/logout'];
+
+/**
+ * Извлечь токен из заголовка Authorization: Bearer <token>
+ */
+export function getToken(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Определить пользователя по токену и сохранить его в req.user (null для гостей)
+ */
+export function authenticate(req, res, next) {
+  const token = getToken(req);
+  req.user = token ? getUserByToken(token) : null;
+  next();
+}
+
+/**
+ * Пропустить только пользователей с указанной ролью
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Требуется авторизация' });
+    }
+    if (req.user.role !== role) {
+      return res.status(403).json({ error: 'Недостаточно прав' });
+    }
+    next();
+  };
+}
+
+export const requireOrganizer = requireRole('organizer');
+
+/**
+ * Любой изменяющий запрос к /api требует роли организатора
+ */
+export function protectMutations(req, res, next) {
+  if (SAFE_METHODS.includes(req.method) || PUBLIC_MUTATING_PATHS.includes(req.path)) {
+    return next();
+  }
+  requireOrganizer(req, res, next);
+}
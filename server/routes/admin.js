@@ -0,0 +1,292 @@
+import { Router } from 'express';
+import {
+  createSeason, updateSeason, deleteSeason,
+  createTournament, updateTournament, deleteTournament,
+  createLeague, updateLeague, deleteLeague,
+  createGroup, updateGroup, deleteGroup,
+  getMatch, createMatch, updateMatch, deleteMatch
+} from '../db/admin.js';
+import db from '../db/index.js';
+import { exportBundle, importBundle } from '../db/bundle.js';
+import { listBackups, createBackup, BACKUP_KEEP_DAYS, BACKUP_INTERVAL_HOURS } from '../db/backup.js';
+import { BACKUP_DIR } from '../db/paths.js';
+import { requireOrganizer } from '../middleware/auth.js';
+import { handle } from './handle.js';
+import { httpError } from '../utils/errors.js';
+import { validateMatch as checkMatch, validateTournamentData, formatIssue } from '../../src/modules/validator.js';
+import { validateScoringRules } from '../../src/modules/scoring.js';
+import { validateTiebreakers } from '../../src/modules/standings.js';
+import { validateSeasonStages, validateBestStages } from '../utils/season-stages.js';
+import { validateRatingConfig } from '../utils/rating-config.js';
+
+// Админские маршруты: создание, изменение и удаление данных турниров
+const router = Router();
+
+const FORMATS = ['mixed', 'same_sex'];
+const PAIRINGS = ['random', 'fixed'];
+const GROUP_STAGES = ['qualification', 'playoff'];
+
+// === Валидация ===
+
+function isName(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function isTeam(value) {
+  return Array.isArray(value) && value.length === 2 && value.every(isName);
+}
+
+function isScore(value) {
+  return Array.isArray(value) && value.length === 2 &&
+    value.every(n => Number.isInteger(n) && n >= 0);
+}
+
+// Проверить матч в формате сырого JSON; partial — для PUT, когда поля необязательны
+function validateMatch(match, partial = false) {
+  if (!match || typeof match !== 'object') return 'Некорректные данные матча';
+  if ((!partial || match.team1 !== undefined) && !isTeam(match.team1)) {
+    return 'team1 должен содержать двух игроков';
+  }
+  if ((!partial || match.team2 !== undefined) && !isTeam(match.team2)) {
+    return 'team2 должен содержать двух игроков';
+  }
+  if ((!partial || match.score !== undefined) && !isScore(match.score)) {
+    return 'score должен быть массивом из двух неотрицательных целых чисел';
+  }
+  if (match.id !== undefined && !Number.isInteger(match.id)) return 'id матча должен быть целым числом';
+  if (match.group_id != null && !Number.isInteger(match.group_id)) return 'group_id должен быть целым числом';
+  if (match.court != null && !Number.isInteger(match.court)) return 'court должен быть целым числом';
+  if (match.referee != null && typeof match.referee !== 'string') return 'referee должен быть строкой';
+  if (!partial) {
+    const error = checkMatch(match).find(issue => issue.severity === 'error');
+    if (error) return error.message;
+  }
+  return null;
+}
+
+function validateTournament(data, partial = false) {
+  if ((!partial || data.date !== undefined) && !/^\d{4}-\d{2}-\d{2}$/.test(data.date || '')) {
+    return 'date должна быть в формате YYYY-MM-DD';
+  }
+  if ((!partial || data.format !== undefined) && !FORMATS.includes(data.format)) {
+    return `format должен быть одним из: ${FORMATS.join(', ')}`;
+  }
+  if ((!partial || data.pairing !== undefined) && !PAIRINGS.includes(data.pairing)) {
+    return `pairing должен быть одним из: ${PAIRINGS.join(', ')}`;
+  }
+  if (data.season_id != null && !Number.isInteger(data.season_id)) return 'season_id должен быть целым числом';
+  if (data.stage_number != null && !Number.isInteger(data.stage_number)) {
+    return 'stage_number должен быть целым числом или null';
+  }
+  if (data.leagues !== undefined) {
+    if (!Array.isArray(data.leagues)) return 'leagues должен быть массивом';
+    if (data.leagues.some(league => !league.name)) return 'У лиги должно быть название';
+    const { errors } = validateTournamentData(data);
+    if (errors.length > 0) return errors.map(formatIssue).join('; ');
+  }
+  return null;
+}
+
+function validateLeague(league, partial = false) {
+  if ((!partial || league.name !== undefined) && !isName(league.name)) return 'Укажите name';
+  if (league.sort_order != null && !Number.isInteger(league.sort_order)) return 'sort_order должен быть целым числом';
+  return null;
+}
+
+function validateGroup(group, partial = false) {
+  if ((!partial || group.name !== undefined) && !isName(group.name)) return 'Укажите name';
+  if (group.stage !== undefined && !GROUP_STAGES.includes(group.stage)) {
+    return `stage должен быть одним из: ${GROUP_STAGES.join(', ')}`;
+  }
+  if (group.tiebreak_order != null &&
+      !(Array.isArray(group.tiebreak_order) && group.tiebreak_order.every(name => typeof name === 'string'))) {
+    return 'tiebreak_order должен быть списком имён игроков';
+  }
+  return null;
+}
+
+function validateSeason(season, partial = false) {
+  if (!partial && (!season.name || !Number.isInteger(season.year))) return 'Укажите name и year';
+  if (season.year !== undefined && !Number.isInteger(season.year)) return 'year должен быть целым числом';
+  if (season.scoring_rules != null) {
+    const error = validateScoringRules(season.scoring_rules);
+    if (error) return error;
+  }
+  if (season.stages != null) {
+    const error = validateSeasonStages(season.stages);
+    if (error) return error;
+  }
+  if (season.best_stages !== undefined) {
+    const error = validateBestStages(season.best_stages);
+    if (error) return error;
+  }
+  if (season.tiebreakers != null) {
+    const error = validateTiebreakers(season.tiebreakers);
+    if (error) return error;
+  }
+  if (season.rating_config != null) return validateRatingConfig(season.rating_config);
+  return null;
+}
+
+// === Сезоны ===
+
+router.post('/seasons', handle(
+  body => validateSeason(body),
+  req => createSeason(req.body),
+  null, 'Ошибка создания сезона', { status: 201 }
+));
+
+router.put('/seasons/:id', handle(
+  body => validateSeason(body, true),
+  req => updateSeason(req.params.id, req.body),
+  'Сезон не найден', 'Ошибка обновления сезона', { recalculate: body => body.rating_config !== undefined }
+));
+
+router.delete('/seasons/:id', handle(
+  null,
+  req => deleteSeason(req.params.id),
+  'Сезон не найден', 'Ошибка удаления сезона', { recalculate: true }
+));
+
+// === Турниры ===
+
+router.post('/seasons/:id/tournaments', handle(
+  body => validateTournament(body),
+  req => createTournament(req.params.id, req.body),
+  'Сезон не найден', 'Ошибка создания турнира', { status: 201, recalculate: body => Array.isArray(body.leagues) }
+));
+
+router.put('/tournaments/:id', handle(
+  body => validateTournament(body, true),
+  req => updateTournament(req.params.id, req.body),
+  'Турнир не найден', 'Ошибка обновления турнира', {
+    // Дата и сезон определяют хронологию матчей и настройки Elo
+    recalculate: body => body.date !== undefined || body.season_id !== undefined
+  }
+));
+
+router.delete('/tournaments/:id', handle(
+  null,
+  req => deleteTournament(req.params.id),
+  'Турнир не найден', 'Ошибка удаления турнира', { recalculate: true }
+));
+
+// === Лиги ===
+
+router.post('/tournaments/:id/leagues', handle(
+  body => validateLeague(body),
+  req => createLeague(req.params.id, req.body),
+  'Турнир не найден', 'Ошибка создания лиги', { status: 201 }
+));
+
+router.put('/leagues/:id', handle(
+  body => validateLeague(body, true),
+  req => updateLeague(req.params.id, req.body),
+  'Лига не найдена', 'Ошибка обновления лиги', { recalculate: body => body.sort_order !== undefined }
+));
+
+router.delete('/leagues/:id', handle(
+  null,
+  req => deleteLeague(req.params.id),
+  'Лига не найдена', 'Ошибка удаления лиги', { recalculate: true }
+));
+
+// === Группы ===
+
+router.post('/leagues/:id/groups', handle(
+  body => validateGroup(body),
+  req => createGroup(req.params.id, req.body),
+  'Лига не найдена', 'Ошибка создания группы', { status: 201 }
+));
+
+router.put('/groups/:id', handle(
+  body => validateGroup(body, true),
+  req => updateGroup(req.params.id, req.body),
+  'Группа не найдена', 'Ошибка обновления группы', { recalculate: body => body.stage !== undefined }
+));
+
+router.delete('/groups/:id', handle(
+  null,
+  req => deleteGroup(req.params.id),
+  'Группа не найдена', 'Ошибка удаления группы', { recalculate: true }
+));
+
+// === Матчи ===
+
+router.post('/groups/:id/matches', handle(
+  body => validateMatch(body),
+  req => createMatch(req.params.id, req.body),
+  'Группа не найдена', 'Ошибка создания матча', { status: 201, recalculate: true }
+));
+
+router.put('/matches/:id', handle(
+  body => validateMatch(body, true),
+  req => {
+    // Матч целиком проверяется уже с новыми полями: иначе частичное изменение
+    // может поставить игрока в обе команды или судьёй в собственный матч
+    const current = getMatch(req.params.id);
+    if (!current) return null;
+    const error = validateMatch({ ...current, ...req.body });
+    if (error) throw httpError(400, error);
+    return updateMatch(req.params.id, req.body);
+  },
+  'Матч не найден', 'Ошибка обновления матча', { recalculate: true }
+));
+
+router.delete('/matches/:id', handle(
+  null,
+  req => deleteMatch(req.params.id),
+  'Матч не найден', 'Ошибка удаления матча', { recalculate: true }
+));
+
+// === Бандл всей базы ===
+
+// Выгрузить всю историю лиги одним JSON (только организаторы)
+router.get('/admin/bundle', requireOrganizer, (req, res) => {
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`volleyball-bundle-${date}.json`);
+    res.json(exportBundle());
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Ошибка выгрузки базы' });
+  }
+});
+
+// Восстановить базу из бандла; непустая база заменяется только с ?replace=true
+router.post('/admin/bundle', handle(
+  null,
+  req => importBundle(req.body, { replace: req.query.replace === 'true' }),
+  'Бандл пуст', 'Ошибка загрузки бандла', { recalculate: true }
+));
+
+// === Резервные копии ===
+
+// Список резервных копий (только организаторы)
+router.get('/admin/backups', requireOrganizer, (req, res) => {
+  try {
+    res.json({
+      directory: BACKUP_DIR,
+      keepDays: BACKUP_KEEP_DAYS,
+      intervalHours: BACKUP_INTERVAL_HOURS,
+      backups: listBackups().map(({ path, ...backup }) => backup)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Ошибка получения списка копий' });
+  }
+});
+
+// Сделать резервную копию сейчас
+router.post('/admin/backups', async (req, res) => {
+  try {
+    const { backup, removed } = await createBackup(db);
+    const { path, ...info } = backup;
+    res.status(201).json({ backup: info, removed });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Ошибка резервного копирования' });
+  }
+});
+
+export default router;
@@ -0,0 +1,43 @@
+import { Router } from 'express';
+import { login, logout } from '../db/auth.js';
+import { getToken } from '../middleware/auth.js';
+
+// Вход, выход и информация о текущем пользователе
+const router = Router();
+
+router.post('/auth/login', (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+      return res.status(400).json({ error: 'Укажите логин и пароль' });
+    }
+    const session = login(username, password);
+    if (!session) {
+      return res.status(401).json({ error: 'Неверный логин или пароль' });
+    }
+    res.json(session);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Ошибка входа' });
+  }
+});
+
+router.post('/auth/logout', (req, res) => {
+  try {
+    const token = getToken(req);
+    if (token) logout(token);
+    res.json({ status: 'ok' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Ошибка выхода' });
+  }
+});
+
+router.get('/auth/me', (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Требуется авторизация' });
+  }
+  res.json(req.user);
+});
+
+export default router;
@@ -0,0 +1,35 @@
+import { recalculateRatings } from '../db/ratings.js';
+
+/**
+ * Обёртка изменяющего обработчика: 400 при ошибке валидации, 404 если запись не найдена,
+ * статус из err.status для ожидаемых ошибок (см. utils/errors.js), иначе 500.
+ * Пересчёт Elo по всем матчам занимает поток сервера, поэтому выполняется только
+ * для изменений, влияющих на рейтинг (матчи, хронология, настройки Elo сезона)
+ * @param {Object} options - { status, recalculate }: recalculate — true/false
+ *   или функция от тела запроса (когда на рейтинг влияют только некоторые поля)
+ */
+export function handle(validate, action, notFoundMessage, errorMessage, { status = 200, recalculate = false } = {}) {
+  return (req, res) => {
+    try {
+      const validationError = validate ? validate(req.body || {}) : null;
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      const result = action(req);
+      if (!result) {
+        return res.status(404).json({ error: notFoundMessage });
+      }
+      if (typeof recalculate === 'function' ? recalculate(req.body || {}) : recalculate) {
+        recalculateRatings();
+      }
+      res.status(status).json(result);
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      console.error(err);
+      res.status(500).json({ error: errorMessage });
+    }
+  };
+}
+
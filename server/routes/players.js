@@ -0,0 +1,83 @@
+import { Router } from 'express';
+import {
+  getPlayerWithAliases,
+  addPlayerAlias,
+  removePlayerAlias,
+  updatePlayer,
+  mergePlayers
+} from '../db/players.js';
+import { findDuplicatePlayers, DEFAULT_THRESHOLD } from '../db/duplicates.js';
+import { requireOrganizer } from '../middleware/auth.js';
+import { handle } from './handle.js';
+
+// Маршруты управления игроками: псевдонимы, переименование, объединение
+const router = Router();
+
+const GENDERS = ['male', 'female', null];
+
+function isName(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+// Отчёт о вероятных дублях игроков (только организаторы)
+router.get('/admin/duplicates', requireOrganizer, (req, res) => {
+  try {
+    const threshold = req.query.threshold ? parseFloat(req.query.threshold) : DEFAULT_THRESHOLD;
+    if (Number.isNaN(threshold)) {
+      return res.status(400).json({ error: 'threshold должен быть числом от 0 до 1' });
+    }
+    res.json(findDuplicatePlayers({ threshold }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Ошибка поиска дублей' });
+  }
+});
+
+// Получить игрока с псевдонимами
+router.get('/players/:id/aliases', (req, res) => {
+  try {
+    const player = getPlayerWithAliases(req.params.id);
+    if (!player) {
+      return res.status(404).json({ error: 'Игрок не найден' });
+    }
+    res.json(player.aliases);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Ошибка получения псевдонимов' });
+  }
+});
+
+router.post('/players/:id/aliases', handle(
+  body => (!isName(body.alias) ? 'Укажите alias' : null),
+  req => addPlayerAlias(req.params.id, req.body.alias),
+  'Игрок не найден', 'Ошибка добавления псевдонима', { status: 201 }
+));
+
+router.delete('/players/:id/aliases/:alias', handle(
+  null,
+  req => removePlayerAlias(req.params.id, req.params.alias),
+  'Псевдоним не найден', 'Ошибка удаления псевдонима'
+));
+
+// Переименовать игрока (старое имя станет псевдонимом) и/или исправить пол
+router.put('/players/:id', handle(
+  body => {
+    if (body.name === undefined && body.gender === undefined) return 'Укажите name и/или gender';
+    if (body.name !== undefined && !isName(body.name)) return 'name не может быть пустым';
+    if (body.gender !== undefined && !GENDERS.includes(body.gender)) {
+      return 'gender должен быть male, female или null';
+    }
+    return null;
+  },
+  req => updatePlayer(req.params.id, { name: req.body.name, gender: req.body.gender }),
+  'Игрок не найден', 'Ошибка обновления игрока'
+));
+
+// Объединить игрока sourceId с игроком :id
+router.post('/players/:id/merge', handle(
+  body => (!Number.isInteger(body.sourceId) ? 'Укажите sourceId — ID объединяемого игрока' : null),
+  req => mergePlayers(req.params.id, req.body.sourceId),
+  'Игрок не найден', 'Ошибка объединения игроков', { recalculate: true }
+));
+
+export default router;
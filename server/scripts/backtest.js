@@ -0,0 +1,65 @@
+import db from '../db/index.js';
+import { getMatchesForRating } from '../db/ratings.js';
+import { runBacktest, sweepParameters } from '../utils/backtest.js';
+import { RATING_ENGINES, createRatingEngine } from '../../src/modules/ratingEngine.js';
+import { createEloEngine, DEFAULT_ELO_PARAMS } from '../../src/modules/elo.js';
+
+// Бэктест движков рейтинга на всей истории матчей: прогноз до каждого матча против результата
+// Использование: node scripts/backtest.js [--sweep] [--top 10]
+//   --sweep — перебор K_FACTOR_NEW, K_FACTOR_REGULAR и CALIBRATION_GAMES для Elo
+//   --top   — сколько лучших сочетаний показать (по умолчанию 10)
+const args = process.argv.slice(2);
+const sweep = args.includes('--sweep');
+const topIndex = args.indexOf('--top');
+const top = topIndex >= 0 ? parseInt(args[topIndex + 1], 10) : 10;
+
+if (Number.isNaN(top) || top < 1) {
+  console.error('Использование: node scripts/backtest.js [--sweep] [--top 10]');
+  process.exit(1);
+}
+
+// Значения для перебора (значения по умолчанию входят в сетку);
+// перебираемые параметры заменяют настройки сезонов, остальные берутся из сезонов
+const SWEEP_GRID = {
+  kFactorNew: [24, 32, 40, 48, 56],
+  kFactorRegular: [10, 15, 20, 25, 30],
+  calibrationGames: [10, 20, 30, 40]
+};
+
+const percent = value => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+const metric = value => (value === null ? '—' : value.toFixed(4));
+
+const matches = getMatchesForRating();
+console.log(`🏐 Матчей в истории: ${matches.length} (ориентир «50 на 50»: log-loss 0.6931, Brier 0.2500)\n`);
+
+for (const name of Object.keys(RATING_ENGINES)) {
+  const result = runBacktest(createRatingEngine(name), matches);
+  console.log(`📈 ${name}: log-loss ${metric(result.logLoss)}, Brier ${metric(result.brier)}, угадано ${percent(result.accuracy)}`);
+  console.log('    Калибровка (прогноз победы team1 → доля побед):');
+  for (const bucket of result.calibration) {
+    console.log(`      ${percent(bucket.from).padStart(6)}–${percent(bucket.to).padEnd(6)}  матчей ${String(bucket.count).padStart(4)}  прогноз ${percent(bucket.predicted).padStart(6)}  факт ${percent(bucket.actual).padStart(6)}`);
+  }
+  console.log('');
+}
+
+if (sweep) {
+  const results = sweepParameters(createEloEngine, matches, SWEEP_GRID);
+  // Текущие параметры — действующего сезона (последнего матча)
+  const current = { ...DEFAULT_ELO_PARAMS, ...matches[matches.length - 1]?.eloParams };
+  const isCurrent = params => Object.entries(params).every(([key, value]) => current[key] === value);
+  const format = ({ params, logLoss, brier, accuracy }) =>
+    `K_FACTOR_NEW ${String(params.kFactorNew).padStart(2)}  K_FACTOR_REGULAR ${String(params.kFactorRegular).padStart(2)}  ` +
+    `CALIBRATION_GAMES ${String(params.calibrationGames).padStart(2)}  →  log-loss ${metric(logLoss)}  Brier ${metric(brier)}  угадано ${percent(accuracy)}`;
+
+  console.log(`🔍 Перебор параметров Elo: ${results.length} сочетаний, лучшие ${Math.min(top, results.length)} по log-loss:`);
+  results.slice(0, top).forEach((result, index) => {
+    console.log(`  ${String(index + 1).padStart(2)}. ${format(result)}${isCurrent(result.params) ? '  ← текущие' : ''}`);
+  });
+
+  const currentIndex = results.findIndex(result => isCurrent(result.params));
+  if (currentIndex >= top) {
+    console.log(`  …\n  ${currentIndex + 1}. ${format(results[currentIndex])}  ← текущие`);
+  }
+}
+
+db.close();
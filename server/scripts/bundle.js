@@ -0,0 +1,35 @@
+import { readFileSync, writeFileSync } from 'fs';
+import db from '../db/index.js';
+import { exportBundle, importBundle } from '../db/bundle.js';
+import { recalculateRatings } from '../db/ratings.js';
+
+// Выгрузка всей базы в JSON-бандл и восстановление из него
+// Использование:
+//   node scripts/bundle.js export [файл.json]        — по умолчанию volleyball-bundle-<дата>.json
+//   node scripts/bundle.js import <файл.json> [--replace] — --replace заменяет данные в непустой базе
+const [command, path] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+const replace = process.argv.includes('--replace');
+
+try {
+  if (command === 'export') {
+    const bundle = exportBundle();
+    const output = path || `volleyball-bundle-${bundle.exportedAt.slice(0, 10)}.json`;
+    writeFileSync(output, JSON.stringify(bundle, null, 2) + '\n');
+    const tournaments = bundle.seasons.reduce((sum, s) => sum + s.tournaments.length, 0);
+    console.log(`✅ ${output}: ${bundle.seasons.length} сезонов, ${tournaments} турниров, ${bundle.players.length} игроков`);
+  } else if (command === 'import' && path) {
+    const counts = importBundle(JSON.parse(readFileSync(path, 'utf-8')), { replace });
+    console.log(`✅ База восстановлена из ${path}`);
+    Object.entries(counts).forEach(([table, count]) => console.log(`  ${table}: ${count}`));
+    const ratings = recalculateRatings();
+    console.log(`  📈 Elo пересчитан: ${ratings.players} игроков`);
+  } else {
+    console.error('Использование: node scripts/bundle.js export [файл.json] | import <файл.json> [--replace]');
+    process.exitCode = 1;
+  }
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+}
+
+db.close();
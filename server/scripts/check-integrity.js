@@ -0,0 +1,24 @@
+import db from '../db/index.js';
+import { checkIntegrity } from '../db/integrity.js';
+import { formatIssue } from '../../src/modules/validator.js';
+
+// Проверка целостности данных; код выхода 1, если есть ошибки (для проверки перед деплоем)
+// Использование: node scripts/check-integrity.js [--strict]
+//   --strict — считать ошибками и предупреждения
+const strict = process.argv.includes('--strict');
+const { errors, warnings } = checkIntegrity();
+
+if (errors.length > 0) {
+  console.log(`❌ Ошибки: ${errors.length}`);
+  errors.forEach(issue => console.log(`    ${formatIssue(issue)}`));
+}
+if (warnings.length > 0) {
+  console.log(`⚠️  Предупреждения: ${warnings.length}`);
+  warnings.forEach(issue => console.log(`    ${formatIssue(issue)}`));
+}
+if (errors.length === 0 && warnings.length === 0) {
+  console.log('✅ Проблем не найдено');
+}
+
+db.close();
+process.exitCode = errors.length > 0 || (strict && warnings.length > 0) ? 1 : 0;
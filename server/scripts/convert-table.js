@@ -0,0 +1,56 @@
+import { writeFileSync } from 'fs';
+import { basename, extname } from 'path';
+import { readTableFile, tableToTournament, formatRowIssue } from '../utils/results-table.js';
+
+// Преобразовать таблицу результатов (CSV/XLSX, одна строка — один матч)
+// в JSON для scripts/import-json.js.
+// Использование: node scripts/convert-table.js <таблица.csv|xlsx> [выход.json] [--date YYYY-MM-DD] [--name "Турнир"] [--force]
+//   Столбцы: league, group, stage, round, match, court, team1_player1, team1_player2,
+//   team2_player1, team2_player2, score (15:6) или score1 и score2, referee, date
+//   (годятся и русские заголовки: Лига, Группа, Стадия, Раунд, Матч, Корт, Игрок 1.1 … Игрок 2.2, Счёт, Судья, Дата)
+//   --force — записать JSON, несмотря на ошибки
+const args = process.argv.slice(2);
+const option = name => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+const optionValues = new Set(['--date', '--name'].map(option));
+const positional = args.filter(arg => !arg.startsWith('--') && !optionValues.has(arg));
+const [tablePath, outputPath] = positional;
+
+if (!tablePath) {
+  console.error('Использование: node scripts/convert-table.js <таблица.csv|xlsx> [выход.json] [--date YYYY-MM-DD] [--name "Турнир"] [--force]');
+  process.exit(1);
+}
+
+try {
+  const rows = await readTableFile(tablePath);
+  const { data, errors, warnings } = tableToTournament(rows, {
+    date: option('--date'),
+    tournament: option('--name') || basename(tablePath, extname(tablePath))
+  });
+
+  if (errors.length > 0) {
+    console.error(`❌ Ошибки: ${errors.length}`);
+    errors.forEach(issue => console.error(`    ${formatRowIssue(issue)}`));
+  }
+  if (warnings.length > 0) {
+    console.log(`⚠️  Предупреждения: ${warnings.length}`);
+    warnings.forEach(issue => console.log(`    ${formatRowIssue(issue)}`));
+  }
+  if (errors.length > 0 && !args.includes('--force')) {
+    console.error('   Исправьте таблицу или запустите с --force');
+    process.exit(1);
+  }
+
+  const output = outputPath || tablePath.replace(/\.[^.]+$/, '') + '.json';
+  writeFileSync(output, JSON.stringify(data, null, 2) + '\n');
+
+  const matches = data.leagues.reduce((sum, league) =>
+    sum + league.groups.reduce((s, g) => s + g.matches.length, 0) + (league.playoff?.matches.length || 0), 0);
+  console.log(`✅ ${output}: ${data.leagues.length} лиг, ${matches} матчей (${data.date})`);
+  console.log(`   Импорт: node scripts/import-json.js ${output} <сезон> <год> <этап> <формат> <пары>`);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
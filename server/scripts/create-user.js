@@ -0,0 +1,21 @@
+import db from '../db/index.js';
+import { saveUser, ROLES } from '../db/auth.js';
+
+// Создание пользователя или смена пароля/роли существующего
+// Использование: node scripts/create-user.js <логин> <пароль> [organizer|viewer]
+const [username, password, role = 'viewer'] = process.argv.slice(2);
+
+if (!username || !password) {
+  console.error('Использование: node scripts/create-user.js <логин> <пароль> [organizer|viewer]');
+  process.exit(1);
+}
+
+if (!ROLES.includes(role)) {
+  console.error(`❌ Неизвестная роль: ${role}. Допустимо: ${ROLES.join(', ')}`);
+  process.exit(1);
+}
+
+const user = saveUser(username, password, role);
+console.log(`✅ Пользователь ${user.username} сохранён (роль: ${user.role})`);
+
+db.close();
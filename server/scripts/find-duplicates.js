@@ -0,0 +1,29 @@
+import db from '../db/index.js';
+import { findDuplicatePlayers, DEFAULT_THRESHOLD } from '../db/duplicates.js';
+
+// Отчёт о вероятных дублях игроков
+// Использование: node scripts/find-duplicates.js [--threshold 0.75]
+const args = process.argv.slice(2);
+const thresholdIndex = args.indexOf('--threshold');
+const threshold = thresholdIndex >= 0 ? parseFloat(args[thresholdIndex + 1]) : DEFAULT_THRESHOLD;
+
+if (Number.isNaN(threshold)) {
+  console.error('Использование: node scripts/find-duplicates.js [--threshold 0.75]');
+  process.exit(1);
+}
+
+const pairs = findDuplicatePlayers({ threshold });
+
+if (pairs.length === 0) {
+  console.log(`✅ Вероятных дублей не найдено (порог ${threshold})`);
+} else {
+  console.log(`🔍 Вероятные дубли (порог ${threshold}): ${pairs.length}\n`);
+  for (const pair of pairs) {
+    const [a, b] = pair.players;
+    console.log(`  ${pair.score.toFixed(2)}  #${a.id} ${a.name} (${a.matches} матчей)  ↔  #${b.id} ${b.name} (${b.matches} матчей)`);
+    console.log(`        ${pair.reasons.join('; ')}`);
+    console.log(`        Объединить ${pair.merge.description}: ${pair.merge.method} ${pair.merge.url} ${JSON.stringify(pair.merge.body)}`);
+  }
+}
+
+db.close();
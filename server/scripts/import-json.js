@@ -1,165 +1,114 @@
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import Database from 'better-sqlite3';
+import db from '../db/index.js';
+import { importTournament } from '../db/import.js';
+import { recalculateRatings } from '../db/ratings.js';
+import { formatIssue } from '../../src/modules/validator.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const dbPath = join(__dirname, '..', 'db', 'volleyball.db');
-const schemaPath = join(__dirname, '..', 'db', 'schema.sql');
 
-// Инициализация БД
-const db = new Database(dbPath);
-db.pragma('journal_mode = WAL');
-db.pragma('foreign_keys = ON');
-
-// Создание таблиц
-const schema = readFileSync(schemaPath, 'utf-8');
-db.exec(schema);
-
-// Определение пола по имени
-const FEMALE_NAMES = new Set([
-  'Мария', 'Анна', 'Ольга', 'Светлана', 'Юлия', 'Наталья', 'Екатерина',
-  'Анастасия', 'Елена', 'Татьяна', 'Ирина', 'Дарья', 'Ксения', 'Евгения',
-  'Василиса', 'Инна', 'Жанна', 'Нина'
-]);
-
-const MALE_EXCEPTIONS = ['Никита', 'Илья', 'Кирилл'];
-
-function getGender(fullName) {
-  const parts = fullName.split(' ');
-  const firstName = parts.length > 1 ? parts[1] : parts[0];
-
-  if (FEMALE_NAMES.has(firstName)) return 'female';
-  if (MALE_EXCEPTIONS.includes(firstName)) return 'male';
-
-  const lastChar = firstName.slice(-1).toLowerCase();
-  const lastTwoChars = firstName.slice(-2).toLowerCase();
-  if (lastTwoChars === 'ья') return 'male';
-  if (lastChar === 'а' || lastChar === 'я') return 'female';
+// Импорт турнира из сырого JSON.
+// Использование: node scripts/import-json.js [--dry-run] [--replace] [--force] [json season year stage format pairing]
+//   --dry-run — проверить файл, показать изменения (матчи, новые игроки) и ничего не записывать
+//   --replace — заменить уже загруженный этап (тот же сезон и номер этапа или дата)
+//   --force   — записать файл, несмотря на ошибки валидации
+const args = process.argv.slice(2);
+const flags = new Set(args.filter(arg => arg.startsWith('--')));
+const positional = args.filter(arg => !arg.startsWith('--'));
 
-  return 'male';
+function printList(title, items) {
+  if (items.length === 0) return;
+  console.log(`  ${title}: ${items.length}`);
+  items.forEach(item => console.log(`    ${item}`));
 }
 
-// Получить или создать игрока
-const playerCache = new Map();
-const insertPlayer = db.prepare('INSERT OR IGNORE INTO players (name, gender) VALUES (?, ?)');
-const getPlayer = db.prepare('SELECT id FROM players WHERE name = ?');
-
-function getOrCreatePlayer(name) {
-  if (playerCache.has(name)) return playerCache.get(name);
+function printValidation({ errors, warnings }) {
+  printList('❌ Ошибки', errors.map(formatIssue));
+  printList('⚠️  Предупреждения', warnings.map(formatIssue));
+}
 
-  insertPlayer.run(name, getGender(name));
-  const player = getPlayer.get(name);
-  playerCache.set(name, player.id);
-  return player.id;
+function printDiff(diff) {
+  printList('➕ Новые матчи', diff.added);
+  printList('✏️  Изменённые матчи', diff.changed);
+  printList('➖ Удалённые матчи', diff.removed);
+  printList('👤 Новые игроки', diff.newPlayers);
+  if (!diff.added.length && !diff.changed.length && !diff.removed.length && !diff.newPlayers.length) {
+    console.log('  Изменений нет');
+  }
 }
 
-// Основная функция импорта
-function importTournament(jsonPath, seasonName, seasonYear, stageNumber, format, pairing) {
+function runImport(jsonPath, options) {
   const data = JSON.parse(readFileSync(jsonPath, 'utf-8'));
-
   console.log(`📥 Импорт: ${data.tournament} (${data.date})`);
 
-  // Транзакция для атомарности
-  const importAll = db.transaction(() => {
-    // Создать или найти сезон
-    let season = db.prepare('SELECT id FROM seasons WHERE name = ? AND year = ?').get(seasonName, seasonYear);
-    if (!season) {
-      const result = db.prepare('INSERT INTO seasons (name, year) VALUES (?, ?)').run(seasonName, seasonYear);
-      season = { id: result.lastInsertRowid };
-      console.log(`  ✅ Создан сезон: ${seasonName} ${seasonYear}`);
-    }
-
-    // Создать турнир
-    const tournamentName = stageNumber ? `${stageNumber} этап` : 'Финал';
-    const tournamentResult = db.prepare(`
-      INSERT INTO tournaments (season_id, stage_number, name, date, format, pairing)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `).run(season.id, stageNumber, tournamentName, data.date, format, pairing);
-    const tournamentId = tournamentResult.lastInsertRowid;
-    console.log(`  ✅ Создан турнир: ${tournamentName}`);
-
-    // Импорт лиг
-    for (let i = 0; i < data.leagues.length; i++) {
-      const leagueData = data.leagues[i];
-
-      const leagueResult = db.prepare(`
-        INSERT INTO leagues (tournament_id, name, sort_order)
-        VALUES (?, ?, ?)
-      `).run(tournamentId, leagueData.name, i);
-      const leagueId = leagueResult.lastInsertRowid;
-      console.log(`    📋 Лига: ${leagueData.name}`);
-
-      // Импорт групп
-      for (const groupData of leagueData.groups) {
-        const groupResult = db.prepare(`
-          INSERT INTO groups (league_id, name, stage)
-          VALUES (?, ?, ?)
-        `).run(leagueId, groupData.name, groupData.stage);
-        const groupId = groupResult.lastInsertRowid;
-
-        // Импорт матчей группы
-        for (const match of groupData.matches) {
-          const p1 = getOrCreatePlayer(match.team1[0]);
-          const p2 = getOrCreatePlayer(match.team1[1]);
-          const p3 = getOrCreatePlayer(match.team2[0]);
-          const p4 = getOrCreatePlayer(match.team2[1]);
-          const ref = match.referee ? getOrCreatePlayer(match.referee) : null;
-
-          db.prepare(`
-            INSERT INTO matches (group_id, match_number, court, round, team1_player1_id, team1_player2_id, score1, score2, team2_player1_id, team2_player2_id, referee_id)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-          `).run(groupId, match.id, match.court || null, null, p1, p2, match.score[0], match.score[1], p3, p4, ref);
-        }
-        console.log(`      📦 Группа ${groupData.name}: ${groupData.matches.length} матчей`);
-      }
-
-      // Импорт плейофф
-      if (leagueData.playoff) {
-        const playoffResult = db.prepare(`
-          INSERT INTO groups (league_id, name, stage)
-          VALUES (?, ?, ?)
-        `).run(leagueId, 'Плейофф', 'playoff');
-        const playoffId = playoffResult.lastInsertRowid;
-
-        for (const match of leagueData.playoff.matches) {
-          const p1 = getOrCreatePlayer(match.team1[0]);
-          const p2 = getOrCreatePlayer(match.team1[1]);
-          const p3 = getOrCreatePlayer(match.team2[0]);
-          const p4 = getOrCreatePlayer(match.team2[1]);
-
-          db.prepare(`
-            INSERT INTO matches (group_id, match_number, court, round, team1_player1_id, team1_player2_id, score1, score2, team2_player1_id, team2_player2_id, referee_id)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-          `).run(playoffId, match.id, null, match.round, p1, p2, match.score[0], match.score[1], p3, p4, null);
-        }
-        console.log(`      🏆 Плейофф: ${leagueData.playoff.matches.length} матчей`);
-      }
-    }
+  const result = importTournament(data, {
+    ...options,
+    replace: flags.has('--replace'),
+    dryRun: flags.has('--dry-run'),
+    force: flags.has('--force')
   });
 
-  importAll();
-  console.log(`✅ Импорт завершён!\n`);
+  printValidation(result.validation);
+  if (!result.validation.valid) {
+    console.log(result.action === 'dry-run'
+      ? '  ⛔ Без --force такой файл не будет импортирован'
+      : '  ⚠️  Файл импортирован с ошибками (--force)');
+  }
+
+  if (result.existing) {
+    console.log(`  ℹ️  Этап уже загружен: «${result.existing.name}» от ${result.existing.date} (ID ${result.existing.id})`);
+  }
+  printDiff(result.diff);
+
+  if (result.action === 'dry-run') {
+    console.log('🔍 Пробный запуск: в БД ничего не записано\n');
+    return;
+  }
+
+  console.log(result.action === 'replaced'
+    ? `✅ Турнир заменён: ${result.tournament.name} (ID ${result.tournament.id})`
+    : `✅ Создан турнир: ${result.tournament.name} (ID ${result.tournament.id})`);
+
+  // Пересчёт Elo с учётом новых матчей
+  const ratings = recalculateRatings();
+  console.log(`  📈 Elo пересчитан: ${ratings.players} игроков\n`);
 }
 
-// Запуск импорта
-const args = process.argv.slice(2);
-
-if (args.length === 0) {
-  // Импорт по умолчанию - текущий турнир
-  const jsonPath = join(__dirname, '..', '..', 'data', 'raw', 'nagornaya_2025-01-25.json');
-  importTournament(
-    jsonPath,
-    'VII NAGORNAYA GRAND PRIX', // Это был 7-й сезон
-    2025,
-    1, // 1 этап (на самом деле это, похоже, финал 7-го сезона)
-    'mixed', // Микст
-    'random' // Рандомный
-  );
-} else {
-  // Ручной импорт с параметрами
-  const [jsonPath, seasonName, seasonYear, stageNumber, format, pairing] = args;
-  importTournament(jsonPath, seasonName, parseInt(seasonYear), stageNumber ? parseInt(stageNumber) : null, format, pairing);
+try {
+  if (positional.length === 0) {
+    // Импорт по умолчанию - текущий турнир
+    runImport(join(__dirname, '..', '..', 'data', 'raw', 'nagornaya_2025-01-25.json'), {
+      seasonName: 'VII NAGORNAYA GRAND PRIX', // Это был 7-й сезон
+      seasonYear: 2025,
+      stageNumber: 1, // 1 этап (на самом деле это, похоже, финал 7-го сезона)
+      format: 'mixed', // Микст
+      pairing: 'random' // Рандомный
+    });
+  } else {
+    // Ручной импорт с параметрами
+    const [jsonPath, seasonName, seasonYear, stageNumber, format, pairing] = positional;
+    runImport(jsonPath, {
+      seasonName,
+      seasonYear: parseInt(seasonYear),
+      stageNumber: stageNumber ? parseInt(stageNumber) : null,
+      format,
+      pairing
+    });
+  }
+} catch (err) {
+  if (err.validation) {
+    console.error('❌ Файл не прошёл проверку:');
+    printValidation(err.validation);
+    console.error('   Исправьте файл или запустите с --force');
+  } else {
+    console.error(`❌ ${err.message}`);
+  }
+  if (err.status === 409 && !err.candidates) {
+    console.error('   Запустите с --dry-run, чтобы увидеть различия, или с --replace, чтобы заменить этап');
+  }
+  db.close();
+  process.exit(1);
 }
 
 // Вывод статистики
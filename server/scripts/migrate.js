@@ -0,0 +1,22 @@
+import db from '../db/index.js';
+import { getMigrations, getAppliedMigrations } from '../db/migrate.js';
+
+// Применить миграции схемы и показать их состояние.
+// Недостающие миграции применяются уже при подключении к БД (db/index.js),
+// поэтому скрипт нужен для ручного запуска перед деплоем и проверки.
+// Использование: node scripts/migrate.js
+const applied = getAppliedMigrations(db);
+const migrations = getMigrations();
+
+console.log('🗄️  Миграции схемы:');
+for (const migration of migrations) {
+  const row = applied.get(migration.version);
+  console.log(`  ${row ? '✅' : '⏳'} ${migration.name}${row ? `  (${row.applied_at})` : ''}`);
+}
+
+// Миграции, записанные в базе, но отсутствующие в каталоге (база новее кода)
+const unknown = [...applied.values()].filter(row => !migrations.some(m => m.version === row.version));
+unknown.forEach(row => console.log(`  ⚠️  ${row.name} применена, но файла нет в db/migrations`));
+
+console.log(`Версия схемы: ${Math.max(0, ...applied.keys())}`);
+db.close();
@@ -0,0 +1,10 @@
+import db from '../db/index.js';
+import { recalculateRatings } from '../db/ratings.js';
+
+// Пересчёт Elo по всем матчам БД
+// Использование: node scripts/recalculate-ratings.js
+console.log('🔄 Пересчёт Elo...');
+const result = recalculateRatings();
+console.log(`✅ Готово: ${result.matches} матчей, ${result.players} игроков`);
+
+db.close();
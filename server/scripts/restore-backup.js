@@ -0,0 +1,62 @@
+import Database from 'better-sqlite3';
+import { copyFileSync, existsSync, mkdirSync, renameSync, rmSync } from 'fs';
+import { join } from 'path';
+import { DB_PATH, BACKUP_DIR } from '../db/paths.js';
+import { listBackups, validateBackup, resolveBackupPath } from '../db/backup.js';
+
+// Восстановление БД из резервной копии. Перед восстановлением остановите сервер.
+// Использование:
+//   node scripts/restore-backup.js                 — список копий в BACKUP_DIR
+//   node scripts/restore-backup.js <имя|путь.db>   — проверить копию и заменить ею рабочую БД
+// Текущая БД перед заменой сохраняется в BACKUP_DIR как pre-restore-<время>.db
+const [target] = process.argv.slice(2);
+
+function formatSize(bytes) {
+  return `${(bytes / 1024).toFixed(0)} КБ`;
+}
+
+if (!target) {
+  const backups = listBackups();
+  if (backups.length === 0) {
+    console.log(`Резервных копий нет (${BACKUP_DIR})`);
+  } else {
+    console.log(`💾 Резервные копии (${BACKUP_DIR}):`);
+    backups.forEach(b => console.log(`  ${b.name}  ${formatSize(b.size)}`));
+  }
+  process.exit(0);
+}
+
+const backupPath = resolveBackupPath(target);
+const check = validateBackup(backupPath);
+if (!check.ok) {
+  console.error(`❌ Копия ${backupPath} не прошла проверку:`);
+  check.errors.forEach(error => console.error(`    ${error}`));
+  process.exit(1);
+}
+const { seasons, tournaments, matches, players } = check.counts;
+console.log(`✅ Копия в порядке: схема ${check.schemaVersion}, сезонов ${seasons}, турниров ${tournaments}, матчей ${matches}, игроков ${players}`);
+
+// Сохранить текущую БД и сбросить её WAL, чтобы он не применился к восстановленному файлу
+if (existsSync(DB_PATH)) {
+  mkdirSync(BACKUP_DIR, { recursive: true });
+  const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+  const safetyPath = join(BACKUP_DIR, `pre-restore-${stamp}.db`);
+
+  const current = new Database(DB_PATH);
+  await current.backup(safetyPath);
+  current.pragma('wal_checkpoint(TRUNCATE)');
+  current.close();
+  console.log(`  Текущая БД сохранена: ${safetyPath}`);
+}
+
+// Атомарная замена: копируем рядом и переименовываем
+const tempPath = `${DB_PATH}.restore-tmp`;
+copyFileSync(backupPath, tempPath);
+renameSync(tempPath, DB_PATH);
+rmSync(`${DB_PATH}-wal`, { force: true });
+rmSync(`${DB_PATH}-shm`, { force: true });
+
+// Подключение применит миграции, если копия старше кода
+const { default: db } = await import('../db/index.js');
+db.close();
+console.log(`✅ БД восстановлена из ${backupPath}`);
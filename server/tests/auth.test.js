@@ -0,0 +1,44 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Своя временная БД: db/index.js открывает DB_PATH при импорте
+const dir = mkdtempSync(join(tmpdir(), 'volley-auth-'));
+process.env.DB_PATH = join(dir, 'test.db');
+
+const { default: db } = await import('../db/index.js');
+const { saveUser, login, logout, getUserByToken } = await import('../db/auth.js');
+
+const expire = token => db.prepare(
+  "UPDATE sessions SET expires_at = datetime('now', '-1 minute') WHERE token = ?"
+).run(token);
+const sessionExists = token => Boolean(db.prepare('SELECT 1 FROM sessions WHERE token = ?').get(token));
+
+after(() => {
+  db.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('сессия по токену возвращает пользователя до выхода', () => {
+  saveUser('org', 'secret123', 'organizer');
+  assert.equal(login('org', 'wrong'), null);
+
+  const { token } = login('org', 'secret123');
+  assert.equal(getUserByToken(token).username, 'org');
+
+  logout(token);
+  assert.equal(getUserByToken(token), null);
+});
+
+test('просроченная сессия не действует и удаляется при следующем входе', () => {
+  const { token } = login('org', 'secret123');
+  expire(token);
+
+  assert.equal(getUserByToken(token), null);
+  assert.ok(sessionExists(token), 'проверка токена не изменяет таблицу');
+
+  login('org', 'secret123');
+  assert.ok(!sessionExists(token));
+});
@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Своя временная БД: db/index.js открывает DB_PATH при импорте
+const dir = mkdtempSync(join(tmpdir(), 'volley-bundle-'));
+process.env.DB_PATH = join(dir, 'test.db');
+
+const { default: db } = await import('../db/index.js');
+const { createSeason, createTournament, createGroup, createMatch, updateGroup } = await import('../db/admin.js');
+const { addPlayerAlias } = await import('../db/players.js');
+const { exportBundle, importBundle } = await import('../db/bundle.js');
+
+// Бандл без времени выгрузки — для сравнения
+const snapshot = () => {
+  const { exportedAt, ...bundle } = exportBundle();
+  return bundle;
+};
+
+before(() => {
+  const season = createSeason({ name: 'Тестовый сезон', year: 2025, rating_config: { marginOfVictory: true } });
+  const tournament = createTournament(season.id, {
+    stage_number: 1,
+    date: '2025-01-25',
+    format: 'mixed',
+    pairing: 'random',
+    leagues: [{
+      name: 'Лига',
+      groups: [{
+        name: 'A',
+        matches: [{ id: 1, court: 2, team1: ['A1', 'A2'], team2: ['A3', 'A4'], score: [15, 10], referee: 'A5' }]
+      }],
+      playoff: { matches: [{ id: 101, round: 'final', team1: ['A1', 'A3'], team2: ['A2', 'A4'], score: [15, 13] }] }
+    }]
+  });
+  const league = tournament.leagues[0];
+
+  // Вторая группа плей-офф в той же лиге и порядок организатора
+  const consolation = createGroup(league.id, { name: 'Утешительный', stage: 'playoff' });
+  createMatch(consolation.id, { id: 201, round: '3rd_place', team1: ['A5', 'A6'], team2: ['A7', 'A8'], score: [21, 19] });
+  updateGroup(league.groups[0].id, { tiebreak_order: ['A2', 'A1'] });
+  updateGroup(consolation.id, { tiebreak_order: ['A6'] });
+  addPlayerAlias(db.prepare("SELECT id FROM players WHERE name = 'A1'").get().id, 'А-1');
+});
+
+after(() => {
+  db.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('выгрузка → импорт → выгрузка даёт тот же бандл', () => {
+  const first = snapshot();
+  const counts = importBundle(JSON.parse(JSON.stringify({ ...first, exportedAt: '' })), { replace: true });
+
+  assert.deepEqual(counts, { players: 8, aliases: 1, seasons: 1, tournaments: 1, leagues: 1, groups: 3, matches: 3 });
+  assert.deepEqual(snapshot(), first);
+});
+
+test('все группы плей-офф и порядок организатора сохраняются', () => {
+  const groups = snapshot().seasons[0].tournaments[0].leagues[0].groups;
+
+  assert.deepEqual(groups.map(g => [g.stage, g.tiebreak_order]), [
+    ['qualification', '["A2","A1"]'],
+    ['playoff', null],
+    ['playoff', '["A6"]']
+  ]);
+  assert.deepEqual(groups.map(g => g.matches.length), [1, 1, 1]);
+});
+
+test('непустая база без replace и чужие бандлы отклоняются', () => {
+  const bundle = exportBundle();
+  assert.throws(() => importBundle(bundle), { status: 409 });
+  assert.throws(() => importBundle({ ...bundle, version: 1 }), { status: 400 });
+  assert.throws(() => importBundle({ format: 'other' }), { status: 400 });
+
+  // Ошибка откатывает транзакцию целиком
+  const broken = JSON.parse(JSON.stringify(bundle));
+  broken.players.pop();
+  assert.throws(() => importBundle(broken, { replace: true }), { status: 400 });
+  assert.equal(db.prepare('SELECT COUNT(*) as count FROM matches').get().count, 3);
+});
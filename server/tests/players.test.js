@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Своя временная БД: db/index.js открывает DB_PATH при импорте
+const dir = mkdtempSync(join(tmpdir(), 'volley-players-'));
+process.env.DB_PATH = join(dir, 'test.db');
+
+const { default: db, findPlayerByName, getOrCreatePlayer } = await import('../db/index.js');
+const { createSeason, createTournament, updateGroup, getGroup } = await import('../db/admin.js');
+const { mergePlayers, renamePlayer } = await import('../db/players.js');
+
+const MATCH_PLAYER_COLUMNS = ['team1_player1_id', 'team1_player2_id', 'team2_player1_id', 'team2_player2_id', 'referee_id'];
+const id = name => findPlayerByName(name);
+const references = playerId => db.prepare(`
+  SELECT COUNT(*) as count FROM matches WHERE ? IN (${MATCH_PLAYER_COLUMNS.join(', ')})
+`).get(playerId).count;
+
+let groupId;
+
+before(() => {
+  const season = createSeason({ name: 'Тестовый сезон', year: 2025 });
+  const tournament = createTournament(season.id, {
+    date: '2025-01-25',
+    format: 'mixed',
+    pairing: 'random',
+    leagues: [{
+      name: 'Лига',
+      groups: [{
+        name: 'A',
+        matches: [
+          { id: 1, team1: ['Иванов Иван', 'Петрова Анна'], team2: ['Сидоров Олег', 'Орлова Мария'], score: [15, 10], referee: 'Козлов Павел' },
+          { id: 2, team1: ['Иванов И.', 'Орлова Мария'], team2: ['Сидоров Олег', 'Петрова Анна'], score: [15, 12] },
+          { id: 3, team1: ['Иванов Иван', 'Сидоров Олег'], team2: ['Иванов И.', 'Петрова Анна'], score: [15, 8] },
+          { id: 4, team1: ['Сидоров Олег', 'Орлова Мария'], team2: ['Козлов Павел', 'Петрова Анна'], score: [15, 9], referee: 'Иванов И.' }
+        ]
+      }]
+    }]
+  });
+  groupId = tournament.leagues[0].groups[0].id;
+});
+
+after(() => {
+  db.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('известное сокращение находит игрока под полным именем', () => {
+  const full = getOrCreatePlayer('Преображенская Ек.');
+  assert.equal(db.prepare('SELECT name FROM players WHERE id = ?').get(full).name, 'Преображенская Екатерина');
+  assert.equal(id('Преображенская Екатерина'), full);
+});
+
+test('нельзя объединить игроков из одного матча и игрока с самим собой', () => {
+  assert.throws(() => mergePlayers(id('Иванов Иван'), id('Иванов И.')), { status: 409 });
+  assert.throws(() => mergePlayers(id('Иванов Иван'), id('Иванов Иван')), { status: 400 });
+  assert.equal(mergePlayers(id('Иванов Иван'), 99999), null);
+});
+
+test('объединение переводит все ссылки матчей, включая судей, и псевдонимы', () => {
+  // Матч 3 с обоими — убираем, чтобы объединение стало возможным
+  db.prepare('DELETE FROM matches WHERE match_number = 3').run();
+  updateGroup(groupId, { tiebreak_order: ['Иванов И.', 'Орлова Мария'] });
+
+  const target = id('Иванов Иван');
+  const source = id('Иванов И.');
+  const sourceRefs = references(source);
+  const targetRefs = references(target);
+  renamePlayer(source, 'Иванов Ив.');
+
+  const merged = mergePlayers(target, source);
+
+  assert.equal(references(source), 0);
+  assert.equal(references(target), sourceRefs + targetRefs);
+  assert.equal(db.prepare('SELECT referee_id FROM matches WHERE match_number = 4').get().referee_id, target);
+  assert.equal(db.prepare('SELECT id FROM players WHERE id = ?').get(source), undefined);
+  assert.deepEqual(merged.aliases, ['Иванов И.', 'Иванов Ив.']);
+  assert.equal(id('Иванов Ив.'), target);
+  assert.deepEqual(getGroup(groupId).tiebreak_order, ['Иванов Иван', 'Орлова Мария']);
+  assert.deepEqual(db.prepare('PRAGMA foreign_key_check').all(), []);
+});
@@ -0,0 +1,86 @@
+import { replayMatches } from '../../src/modules/ratingEngine.js';
+import { DRAW } from '../../src/modules/elo.js';
+
+// Бэктест движков рейтинга: прогноз перед каждым матчем сравнивается с результатом.
+// Метрики считаются по вероятности победы team1; ничья — результат 0.5.
+//   logLoss — средняя логарифмическая потеря (ln 2 ≈ 0.693 — прогноз «50 на 50»)
+//   brier   — средний квадрат ошибки прогноза (0.25 — «50 на 50»)
+//   accuracy — доля матчей, где победил фаворит прогноза
+//   calibration — корзины по прогнозу: средний прогноз против доли побед
+
+const CALIBRATION_BUCKETS = 10;
+const PROBABILITY_CLAMP = 1e-6; // Чтобы уверенный промах не давал бесконечный log-loss
+
+function actualScore(match) {
+  if (match.winner === DRAW) return 0.5;
+  return match.winner === 1 ? 1 : 0;
+}
+
+/**
+ * Прогнать матчи через движок и посчитать точность прогнозов
+ * @param {Object} engine - Движок (см. src/modules/ratingEngine.js)
+ * @param {Array} matches - Матчи по хронологии
+ * @returns {Object} { matches, logLoss, brier, accuracy, calibration: [{ from, to, count, predicted, actual }] }
+ */
+export function runBacktest(engine, matches) {
+  let logLoss = 0;
+  let brier = 0;
+  let correct = 0;
+  let decided = 0;
+  const buckets = Array.from({ length: CALIBRATION_BUCKETS }, (_, i) => ({
+    from: i / CALIBRATION_BUCKETS,
+    to: (i + 1) / CALIBRATION_BUCKETS,
+    count: 0,
+    predicted: 0,
+    actual: 0
+  }));
+
+  replayMatches(engine, matches, (match, expected) => {
+    const actual = actualScore(match);
+    const p = Math.min(Math.max(expected, PROBABILITY_CLAMP), 1 - PROBABILITY_CLAMP);
+    logLoss -= actual * Math.log(p) + (1 - actual) * Math.log(1 - p);
+    brier += (expected - actual) ** 2;
+    // Угадан ли фаворит: ничьи и прогнозы ровно 50 на 50 не учитываются
+    if (actual !== 0.5 && expected !== 0.5) {
+      decided++;
+      if ((expected > 0.5) === (actual === 1)) correct++;
+    }
+
+    const bucket = buckets[Math.min(Math.floor(expected * CALIBRATION_BUCKETS), CALIBRATION_BUCKETS - 1)];
+    bucket.count++;
+    bucket.predicted += expected;
+    bucket.actual += actual;
+  });
+
+  const count = matches.length;
+  return {
+    matches: count,
+    logLoss: count > 0 ? logLoss / count : null,
+    brier: count > 0 ? brier / count : null,
+    accuracy: decided > 0 ? correct / decided : null,
+    calibration: buckets
+      .filter(b => b.count > 0)
+      .map(b => ({ ...b, predicted: b.predicted / b.count, actual: b.actual / b.count }))
+  };
+}
+
+/**
+ * Перебор параметров движка: все сочетания значений из grid
+ * @param {function(Object): Object} createEngine - Фабрика движка по параметрам
+ * @param {Array} matches - Матчи по хронологии
+ * @param {Object<string, Array>} grid - Значения каждого параметра
+ * @returns {Array} { params, logLoss, brier, accuracy } по возрастанию log-loss
+ */
+export function sweepParameters(createEngine, matches, grid) {
+  const combinations = Object.entries(grid).reduce(
+    (list, [key, values]) => list.flatMap(params => values.map(value => ({ ...params, [key]: value }))),
+    [{}]
+  );
+
+  return combinations
+    .map(params => {
+      const { logLoss, brier, accuracy } = runBacktest(createEngine(params), matches);
+      return { params, logLoss, brier, accuracy };
+    })
+    .sort((a, b) => a.logLoss - b.logLoss);
+}
@@ -0,0 +1,56 @@
+// Разбор CSV: кавычки, экранирование "" и переносы строк внутри полей.
+// Разделитель определяется по первой строке: «;» (русский Excel), «,» или табуляция
+
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const count = char => firstLine.split(char).length - 1;
+  if (count('\t') > Math.max(count(';'), count(','))) return '\t';
+  return count(';') >= count(',') ? ';' : ',';
+}
+
+// Вернуть записи как массивы строк; пустые строки сохраняются,
+// чтобы номер записи совпадал с номером строки в таблице
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const source = text.replace(/^\uFEFF/, '');
+  const pushField = () => {
+    row.push(field);
+    field = '';
+  };
+  const pushRow = () => {
+    pushField();
+    rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      pushField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      pushRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) pushRow();
+
+  return rows;
+}
@@ -0,0 +1,9 @@
+/**
+ * Ошибка с HTTP-статусом для ожидаемых отказов (конфликт данных и т.п.).
+ * Обработчики маршрутов отдают её клиенту как { error: message } с этим статусом
+ */
+export function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
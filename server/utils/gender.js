@@ -0,0 +1,40 @@
+// Предположение о поле игрока по имени («Фамилия Имя»).
+// Используется только при создании нового игрока; дальше пол хранится
+// в players.gender и исправляется организатором через API
+
+const FEMALE_NAMES = new Set([
+  'Мария', 'Анна', 'Ольга', 'Светлана', 'Юлия', 'Наталья', 'Екатерина',
+  'Анастасия', 'Елена', 'Татьяна', 'Ирина', 'Дарья', 'Ксения', 'Евгения',
+  'Василиса', 'Инна', 'Жанна', 'Нина'
+]);
+
+const MALE_EXCEPTIONS = ['Никита', 'Илья', 'Кирилл'];
+
+// Женские окончания фамилий — для сокращённых имён («Преображенская Ек.»)
+const FEMALE_SURNAME_ENDINGS = ['ова', 'ева', 'ёва', 'ина', 'ына', 'ая'];
+
+/**
+ * Угадать пол по имени
+ * @param {string} fullName - «Фамилия Имя»
+ * @returns {'male'|'female'}
+ */
+export function guessGender(fullName) {
+  const parts = fullName.trim().split(/\s+/);
+  const surname = parts[0];
+  const firstName = parts.length > 1 ? parts[1] : parts[0];
+
+  if (FEMALE_NAMES.has(firstName)) return 'female';
+  if (MALE_EXCEPTIONS.includes(firstName)) return 'male';
+
+  // Сокращённое имя — судим по фамилии
+  if (firstName.endsWith('.')) {
+    return FEMALE_SURNAME_ENDINGS.some(ending => surname.toLowerCase().endsWith(ending)) ? 'female' : 'male';
+  }
+
+  const lastChar = firstName.slice(-1).toLowerCase();
+  const lastTwoChars = firstName.slice(-2).toLowerCase();
+  if (lastTwoChars === 'ья') return 'male';
+  if (lastChar === 'а' || lastChar === 'я') return 'female';
+
+  return 'male';
+}
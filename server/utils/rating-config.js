@@ -0,0 +1,55 @@
+import { DEFAULT_ELO_PARAMS } from '../../src/modules/elo.js';
+
+// Настройки расчёта Elo для сезона (seasons.rating_config, JSON).
+//   marginOfVictory — учитывать разницу счёта: изменение умножается на
+//                     calculateMarginMultiplier из src/modules/elo.js
+//   initialRating, kFactorElite, kFactorRegular, kFactorNew, calibrationGames, eliteRating —
+//                     параметры Elo (по умолчанию DEFAULT_ELO_PARAMS)
+// Настройки применяются к матчам турниров сезона; начальный рейтинг игрока —
+// из сезона его первого матча. Действующие настройки — сезона последнего турнира.
+
+export const DEFAULT_RATING_CONFIG = {
+  marginOfVictory: false,
+  ...DEFAULT_ELO_PARAMS
+};
+
+// Параметры, которые должны быть положительными числами; calibrationGames — целое ≥ 0
+const POSITIVE_FIELDS = ['initialRating', 'kFactorElite', 'kFactorRegular', 'kFactorNew', 'eliteRating'];
+
+/**
+ * Проверить настройки Elo сезона (все поля необязательны)
+ * @param {Object} config - { marginOfVictory, initialRating, kFactorElite, ... }
+ * @returns {string|null} Текст ошибки или null
+ */
+export function validateRatingConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return 'rating_config должен быть объектом';
+  }
+  const unknown = Object.keys(config).filter(key => !(key in DEFAULT_RATING_CONFIG));
+  if (unknown.length > 0) {
+    return `неизвестные поля rating_config: ${unknown.join(', ')}`;
+  }
+  if (config.marginOfVictory !== undefined && typeof config.marginOfVictory !== 'boolean') {
+    return 'rating_config.marginOfVictory должен быть true или false';
+  }
+  for (const field of POSITIVE_FIELDS) {
+    if (config[field] !== undefined && !(typeof config[field] === 'number' && config[field] > 0)) {
+      return `rating_config.${field} должен быть положительным числом`;
+    }
+  }
+  if (config.calibrationGames !== undefined && !(Number.isInteger(config.calibrationGames) && config.calibrationGames >= 0)) {
+    return 'rating_config.calibrationGames должен быть неотрицательным целым числом';
+  }
+  return null;
+}
+
+// Дополнить настройки значениями по умолчанию
+export function normalizeRatingConfig(config) {
+  return { ...DEFAULT_RATING_CONFIG, ...(config || {}) };
+}
+
+// Параметры Elo из настроек сезона (без флагов расчёта) — match.eloParams для elo.js
+export function getEloParams(config) {
+  const { marginOfVictory, ...params } = normalizeRatingConfig(config);
+  return params;
+}
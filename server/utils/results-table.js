@@ -0,0 +1,256 @@
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import ExcelJS from 'exceljs';
+import { parseCsv } from './csv.js';
+import { validateMatch } from '../../src/modules/validator.js';
+
+// Таблица результатов (CSV/XLSX, одна строка — один матч) → турнир в формате сырого JSON,
+// который принимает scripts/import-json.js. Первая строка — заголовки столбцов.
+
+// Столбцы и допустимые заголовки (сравниваются без регистра, пробелов и знаков, ё = е)
+const COLUMNS = {
+  league: ['league', 'лига'],
+  group: ['group', 'группа'],
+  stage: ['stage', 'стадия'],
+  round: ['round', 'раунд'],
+  match: ['match', 'id', 'номер', 'матч', 'номерматча'],
+  court: ['court', 'корт'],
+  team1_player1: ['team1player1', 'команда1игрок1', 'игрок11'],
+  team1_player2: ['team1player2', 'команда1игрок2', 'игрок12'],
+  team2_player1: ['team2player1', 'команда2игрок1', 'игрок21'],
+  team2_player2: ['team2player2', 'команда2игрок2', 'игрок22'],
+  score: ['score', 'счет'],
+  score1: ['score1', 'счет1'],
+  score2: ['score2', 'счет2'],
+  referee: ['referee', 'судья'],
+  date: ['date', 'дата']
+};
+
+const REQUIRED_COLUMNS = ['league', 'team1_player1', 'team1_player2', 'team2_player1', 'team2_player2'];
+
+const STAGES = {
+  qualification: 'qualification',
+  квалификация: 'qualification',
+  группа: 'qualification',
+  playoff: 'playoff',
+  плейофф: 'playoff'
+};
+
+// Русские названия раундов → коды из validator.js
+const ROUNDS = {
+  '1/8финала': '1/8',
+  четвертьфинал: '1/4',
+  '1/4финала': '1/4',
+  полуфинал: 'semifinal',
+  '1/2финала': '1/2',
+  за3место: '3rd_place',
+  за3еместо: '3rd_place',
+  финал: 'final'
+};
+
+// Номера матчей плей-офф в исходных протоколах начинаются со 101
+const FIRST_MATCH_NUMBER = { qualification: 1, playoff: 101 };
+
+function normalizeHeader(value) {
+  return value.toLowerCase().replace(/ё/g, 'е').replace(/[^\p{L}\p{N}/]/gu, '');
+}
+
+// Значение ячейки XLSX в виде строки
+function cellToString(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    // Счёт «15:6» Excel превращает во время 15:06
+    if (value.getUTCFullYear() < 1901) return `${value.getUTCHours()}:${value.getUTCMinutes()}`;
+    return value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return cellToString(value.result);
+    if ('text' in value) return String(value.text);
+  }
+  return String(value);
+}
+
+/**
+ * Прочитать таблицу из файла .csv/.txt или .xlsx (первый лист)
+ * @returns {Promise<string[][]>} Строки; rows[i] — строка таблицы с номером i + 1
+ */
+export async function readTableFile(path) {
+  const extension = extname(path).toLowerCase();
+
+  if (extension === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(path);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    for (let r = 1; r <= sheet.rowCount; r++) {
+      const row = sheet.getRow(r);
+      const values = [];
+      for (let c = 1; c <= sheet.columnCount; c++) {
+        values.push(cellToString(row.getCell(c).value));
+      }
+      rows.push(values);
+    }
+    return rows;
+  }
+
+  if (extension === '.csv' || extension === '.txt') {
+    return parseCsv(readFileSync(path, 'utf-8'));
+  }
+
+  throw new Error(`Неподдерживаемый формат файла «${extension}» (нужен .csv или .xlsx)`);
+}
+
+function parseScore(record) {
+  if (record.score1 || record.score2) {
+    return [record.score1, record.score2].map(value => (/^\d+$/.test(value) ? parseInt(value, 10) : NaN));
+  }
+  const match = record.score.match(/^(\d+)\s*[:\-–]\s*(\d+)$/);
+  return match ? [parseInt(match[1], 10), parseInt(match[2], 10)] : null;
+}
+
+/**
+ * Преобразовать строки таблицы в турнир формата сырого JSON
+ * @param {string[][]} rows - Строки таблицы (первая — заголовки)
+ * @param {Object} options - { tournament, date } — название и дата, если их нет в таблице
+ * @returns {{data: Object, errors: Array, warnings: Array}} Проблемы — { row, message }
+ */
+export function tableToTournament(rows, options = {}) {
+  const errors = [];
+  const warnings = [];
+  const error = (row, message) => errors.push({ row, message });
+
+  const data = { tournament: options.tournament || '', date: options.date || null, leagues: [] };
+  if (rows.length === 0) {
+    error(1, 'таблица пуста');
+    return { data, errors, warnings };
+  }
+
+  // Заголовки → индексы столбцов
+  const columnIndex = {};
+  rows[0].forEach((header, index) => {
+    const normalized = normalizeHeader(header);
+    const column = Object.keys(COLUMNS).find(key => COLUMNS[key].includes(normalized));
+    if (column && columnIndex[column] === undefined) columnIndex[column] = index;
+  });
+
+  const missing = REQUIRED_COLUMNS.filter(column => columnIndex[column] === undefined);
+  if (columnIndex.score === undefined && (columnIndex.score1 === undefined || columnIndex.score2 === undefined)) {
+    missing.push('score (или score1 и score2)');
+  }
+  if (missing.length > 0) {
+    error(1, `нет столбцов: ${missing.join(', ')}`);
+    return { data, errors, warnings };
+  }
+
+  const leagues = new Map();
+  const getGroup = (leagueName, groupName, stage) => {
+    if (!leagues.has(leagueName)) {
+      const league = { name: leagueName, groups: [] };
+      leagues.set(leagueName, league);
+      data.leagues.push(league);
+    }
+    const league = leagues.get(leagueName);
+
+    if (stage === 'playoff') {
+      if (!league.playoff) league.playoff = { matches: [] };
+      return league.playoff;
+    }
+    let group = league.groups.find(g => g.name === groupName);
+    if (!group) {
+      group = { name: groupName, stage: 'qualification', matches: [] };
+      league.groups.push(group);
+    }
+    return group;
+  };
+
+  rows.slice(1).forEach((values, index) => {
+    const rowNumber = index + 2;
+    if (values.every(value => String(value).trim() === '')) return;
+
+    const record = {};
+    for (const column of Object.keys(COLUMNS)) {
+      record[column] = columnIndex[column] !== undefined ? String(values[columnIndex[column]] ?? '').trim() : '';
+    }
+
+    if (!record.league) {
+      error(rowNumber, 'не указана лига');
+      return;
+    }
+
+    const round = ROUNDS[normalizeHeader(record.round)] || record.round || null;
+    const stage = record.stage
+      ? STAGES[normalizeHeader(record.stage)]
+      : (round ? 'playoff' : 'qualification');
+    if (!stage) {
+      error(rowNumber, `неизвестная стадия «${record.stage}» (квалификация или плейофф)`);
+      return;
+    }
+    if (stage === 'qualification' && !record.group) {
+      error(rowNumber, 'не указана группа');
+      return;
+    }
+
+    const score = parseScore(record);
+    if (!score || score.some(Number.isNaN)) {
+      error(rowNumber, `не удалось прочитать счёт «${record.score || `${record.score1}:${record.score2}`}» (ожидается 15:6)`);
+      return;
+    }
+
+    if (record.date) {
+      if (!data.date) {
+        data.date = record.date;
+      } else if (data.date !== record.date) {
+        error(rowNumber, `дата ${record.date} отличается от даты турнира ${data.date}`);
+      }
+    }
+
+    const group = getGroup(record.league, record.group, stage);
+    let matchNumber;
+    if (record.match) {
+      matchNumber = /^\d+$/.test(record.match) ? parseInt(record.match, 10) : NaN;
+      if (Number.isNaN(matchNumber)) {
+        error(rowNumber, `номер матча «${record.match}» должен быть целым числом`);
+        return;
+      }
+      if (group.matches.some(m => m.id === matchNumber)) {
+        error(rowNumber, `номер матча ${matchNumber} повторяется в группе`);
+        return;
+      }
+    } else {
+      matchNumber = Math.max(FIRST_MATCH_NUMBER[stage] - 1, ...group.matches.map(m => m.id)) + 1;
+    }
+
+    if (record.court && !/^\d+$/.test(record.court)) {
+      error(rowNumber, `номер корта «${record.court}» должен быть целым числом`);
+      return;
+    }
+
+    const match = { id: matchNumber };
+    if (record.court) match.court = parseInt(record.court, 10);
+    if (stage === 'playoff') match.round = round;
+    match.team1 = [record.team1_player1, record.team1_player2];
+    match.score = score;
+    match.team2 = [record.team2_player1, record.team2_player2];
+    if (record.referee) match.referee = record.referee;
+
+    // Те же проверки, что и для JSON, но с номером строки
+    for (const issue of validateMatch(match, stage === 'playoff')) {
+      (issue.severity === 'error' ? errors : warnings).push({ row: rowNumber, message: issue.message });
+    }
+
+    group.matches.push(match);
+  });
+
+  if (!data.date) {
+    error(1, 'не указана дата турнира (столбец date или параметр --date)');
+  }
+
+  return { data, errors, warnings };
+}
+
+export function formatRowIssue(issue) {
+  return `строка ${issue.row}: ${issue.message}`;
+}
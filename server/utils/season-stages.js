@@ -0,0 +1,117 @@
+// Структура сезона: список этапов в порядке вывода. Этап привязан к турнирам
+// по tournaments.stage_number (null — финал), поэтому два финала (микст и ММ|ЖЖ)
+// оформляются как этапы с разными номерами.
+// Этап: { stageNumber, name, short, weight, counted, discardable }
+//   short   — подпись столбца в сводной таблице (по умолчанию номер или «Ф»)
+//   weight  — множитель очков этапа в сумме сезона
+//   counted — идут ли очки этапа в сумму (false — этап показывается, но не считается)
+//   discardable — может ли этап отбрасываться правилом «лучшие N этапов»
+//                 (по умолчанию да, кроме финала)
+// Правило «лучшие N» хранится отдельно — seasons.best_stages (null — считаются все этапы).
+
+const DEFAULT_STAGE_COUNT = 10;
+
+// Структура по умолчанию: 10 этапов + финал
+export const DEFAULT_SEASON_STAGES = [
+  ...Array.from({ length: DEFAULT_STAGE_COUNT }, (_, i) => ({ stageNumber: i + 1, name: `${i + 1} этап` })),
+  { stageNumber: null, name: 'Финал' }
+];
+
+const STAGE_FIELDS = ['stageNumber', 'name', 'short', 'weight', 'counted', 'discardable'];
+
+// Ключ этапа в данных игрока (player.stages)
+export function stageKey(stageNumber) {
+  return stageNumber ?? 'final';
+}
+
+/**
+ * Проверить список этапов сезона
+ * @param {Array} stages - Этапы в порядке вывода
+ * @returns {string|null} Текст ошибки или null
+ */
+export function validateSeasonStages(stages) {
+  if (!Array.isArray(stages) || stages.length === 0) return 'stages должен быть непустым массивом';
+
+  const seen = new Set();
+  for (const [index, stage] of stages.entries()) {
+    const where = `stages[${index}]`;
+    if (!stage || typeof stage !== 'object') return `${where} должен быть объектом`;
+
+    const unknown = Object.keys(stage).filter(key => !STAGE_FIELDS.includes(key));
+    if (unknown.length > 0) return `${where}: неизвестные поля ${unknown.join(', ')}`;
+    if (stage.stageNumber !== null && !(Number.isInteger(stage.stageNumber) && stage.stageNumber > 0)) {
+      return `${where}.stageNumber должен быть положительным целым числом или null (финал)`;
+    }
+    if (seen.has(stage.stageNumber)) return `${where}: номер этапа ${stage.stageNumber ?? 'null'} повторяется`;
+    seen.add(stage.stageNumber);
+
+    if (typeof stage.name !== 'string' || stage.name.trim() === '') return `${where}.name обязателен`;
+    if (stage.short !== undefined && (typeof stage.short !== 'string' || stage.short.trim() === '')) {
+      return `${where}.short должен быть непустой строкой`;
+    }
+    if (stage.weight !== undefined && !(typeof stage.weight === 'number' && stage.weight >= 0)) {
+      return `${where}.weight должен быть неотрицательным числом`;
+    }
+    for (const field of ['counted', 'discardable']) {
+      if (stage[field] !== undefined && typeof stage[field] !== 'boolean') {
+        return `${where}.${field} должен быть true или false`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Дополнить этапы значениями по умолчанию
+ * @param {Array|null} stages - Этапы сезона; null — структура по умолчанию
+ * @returns {Array} Этапы с полями stageNumber, key, name, short, weight, counted, discardable
+ */
+export function normalizeSeasonStages(stages) {
+  return (stages || DEFAULT_SEASON_STAGES).map(stage => ({
+    stageNumber: stage.stageNumber,
+    key: stageKey(stage.stageNumber),
+    name: stage.name,
+    short: stage.short ?? (stage.stageNumber === null ? 'Ф' : String(stage.stageNumber)),
+    weight: stage.weight ?? 1,
+    counted: stage.counted ?? true,
+    discardable: stage.discardable ?? stage.stageNumber !== null
+  }));
+}
+
+// Проверить правило «лучшие N этапов»: null или положительное целое
+export function validateBestStages(bestStages) {
+  if (bestStages === null || (Number.isInteger(bestStages) && bestStages > 0)) return null;
+  return 'best_stages должен быть положительным целым числом или null';
+}
+
+/**
+ * Сумма сезона игрока: очки засчитываемых этапов с учётом веса.
+ * При bestStages из отбрасываемых этапов в сумму идут только bestStages лучших,
+ * остальные помечаются discarded: true в данных этапа игрока
+ * @param {Object} playerStages - player.stages: { [key]: { points, ... } }
+ * @param {Array} stages - Этапы сезона (normalizeSeasonStages)
+ * @param {number|null} bestStages - Сколько лучших этапов засчитывается
+ * @returns {{gross: number, total: number}} gross — сумма без отбрасывания
+ */
+export function calculateSeasonTotal(playerStages, stages, bestStages = null) {
+  const round = value => Math.round(value * 100) / 100;
+  const played = stages
+    .filter(s => s.counted && playerStages[s.key])
+    .map(s => ({ stage: s, points: playerStages[s.key].points * s.weight }));
+  const gross = played.reduce((sum, p) => sum + p.points, 0);
+
+  const discardable = played.filter(p => p.stage.discardable);
+  if (bestStages === null || discardable.length <= bestStages) {
+    return { gross: round(gross), total: round(gross) };
+  }
+
+  // При равенстве очков отбрасывается более поздний этап
+  const discarded = [...discardable]
+    .sort((a, b) => b.points - a.points || stages.indexOf(a.stage) - stages.indexOf(b.stage))
+    .slice(bestStages);
+  for (const d of discarded) {
+    playerStages[d.stage.key].discarded = true;
+  }
+  const total = gross - discarded.reduce((sum, d) => sum + d.points, 0);
+  return { gross: round(gross), total: round(total) };
+}
@@ -0,0 +1,45 @@
+import ExcelJS from 'exceljs';
+
+// Выгрузка таблиц ({ title, columns, rows }) в CSV и XLSX
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[;"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV для русского Excel: разделитель «;» и BOM, чтобы кириллица открылась без перекодировки
+export function toCsv(table) {
+  const lines = [table.columns, ...table.rows].map(row => row.map(csvValue).join(';'));
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+export async function toXlsx(table) {
+  const workbook = new ExcelJS.Workbook();
+  // Имя листа в Excel — не длиннее 31 символа и без []:*?/\
+  const sheet = workbook.addWorksheet(table.title.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+
+  sheet.addRow(table.columns).font = { bold: true };
+  table.rows.forEach(row => sheet.addRow(row.map(value => value ?? null)));
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  sheet.columns.forEach((column, index) => {
+    const width = Math.max(...[table.columns, ...table.rows].map(row => String(row[index] ?? '').length));
+    column.width = Math.min(Math.max(width + 2, 6), 40);
+  });
+
+  return workbook.xlsx.writeBuffer();
+}
+
+// Отправить таблицу файлом
+export async function sendTable(res, table, format, filename) {
+  res.attachment(`${filename}.${format}`);
+  if (format === 'xlsx') {
+    res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(Buffer.from(await toXlsx(table)));
+  } else {
+    res.type('text/csv; charset=utf-8');
+    res.send(toCsv(table));
+  }
+}
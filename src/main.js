@@ -3,11 +3,165 @@
  * Main entry point
  */
 
-import { loadTournamentData, getRawTournamentData } from './modules/dataManager.js';
-import { initUI } from './modules/ui.js';
+import { initUI, updateRatingData } from './modules/ui.js';
+import { formatDate } from './utils/helpers.js';
 
-// Raw tournament data
-import tournamentData from '../data/raw/nagornaya_2025-01-25.json';
+// API base URL (относительный путь для production)
+const API_BASE = '/api';
+
+/**
+ * Загрузить JSON с API
+ * @param {string} path - Путь относительно API_BASE
+ * @param {string} errorMessage - Текст ошибки при неудачном ответе
+ * @returns {Promise<any>}
+ */
+async function fetchJson(path, errorMessage) {
+  const response = await fetch(`${API_BASE}${path}`);
+  if (!response.ok) {
+    throw new Error(errorMessage);
+  }
+  return response.json();
+}
+
+/**
+ * Загрузить рейтинг игроков и матчи на момент после турнира
+ * @param {number|null} tournamentId - ID турнира (null — по всем турнирам)
+ * @param {string} engine - 'elo' или 'glicko2'
+ * @returns {Promise<Object>} { asOf, players, matches }
+ */
+function fetchRatingData(tournamentId = null, engine = 'elo') {
+  const query = tournamentId ? `?tournament=${tournamentId}` : '';
+  const path = engine === 'glicko2' ? '/ratings/glicko' : '/ratings/details';
+  return fetchJson(`${path}${query}`, 'Не удалось загрузить рейтинг');
+}
+
+/**
+ * Заполнить селект этапов турнирами сезона
+ * @param {HTMLSelectElement} select
+ * @param {Array} tournaments - Турниры сезона (по дате)
+ */
+function renderStageOptions(select, tournaments) {
+  select.innerHTML = `
+    <option value="">Весь сезон</option>
+    ${tournaments.map(t => `<option value="${t.id}">После: ${t.name} (${formatDate(t.date)})</option>`).join('')}
+  `;
+  select.disabled = tournaments.length === 0;
+}
+
+/**
+ * Ссылки выгрузки: таблица Elo на тот же момент, что и на экране.
+ * Выгрузка есть только для Elo — при Glicko-2 ссылки отключаются
+ * @param {number|null} tournamentId - ID турнира (null — по всем турнирам)
+ * @param {string} engine - 'elo' или 'glicko2'
+ */
+function updateExportLinks(tournamentId, engine) {
+  const query = tournamentId ? `?tournament=${tournamentId}` : '';
+  const enabled = engine === 'elo';
+  [['export-csv', 'csv'], ['export-xlsx', 'xlsx']].forEach(([id, format]) => {
+    const link = document.getElementById(id);
+    if (enabled) {
+      link.href = `${API_BASE}/ratings.${format}${query}`;
+    } else {
+      link.removeAttribute('href');
+    }
+    link.classList.toggle('export-disabled', !enabled);
+    link.setAttribute('aria-disabled', String(!enabled));
+    link.title = enabled ? '' : 'Выгрузка доступна только для Elo';
+  });
+}
+
+/**
+ * Подпись под заголовком: на какой момент показан рейтинг
+ * @param {Object} asOf - { tournamentId, date }
+ */
+function renderAsOf(asOf) {
+  const label = document.getElementById('last-update');
+  label.textContent = asOf.date
+    ? `NAGORNAYA GRAND PRIX · рейтинг на ${formatDate(asOf.date)}`
+    : 'NAGORNAYA GRAND PRIX · все турниры';
+}
+
+/**
+ * Показать ошибку загрузки вместо страницы
+ * @param {Error} error
+ */
+function showError(error) {
+  console.error('❌ Error:', error);
+  document.body.innerHTML = `
+    <div class="min-h-screen bg-background-dark flex items-center justify-center p-8">
+      <div class="text-center">
+        <h2 class="text-2xl font-bold text-red-400 mb-4">Ошибка загрузки данных</h2>
+        <p class="text-slate-400">${error.message}</p>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Настроить выбор сезона и этапа («рейтинг на момент этапа») и рейтинга (Elo / Glicko-2)
+ * @param {Array} seasons - Список сезонов
+ */
+function setupPeriodFilters(seasons) {
+  const seasonSelect = document.getElementById('season-filter');
+  const stageSelect = document.getElementById('stage-filter');
+  const engineSelect = document.getElementById('engine-filter');
+  let seasonTournaments = [];
+  let currentTournamentId = null;
+  engineSelect.value = 'elo'; // Первая загрузка — Elo (браузер мог восстановить выбор)
+
+  seasonSelect.innerHTML = `
+    <option value="">Все сезоны</option>
+    ${seasons.map(s => `<option value="${s.id}">${s.name} ${s.year}</option>`).join('')}
+  `;
+  renderStageOptions(stageSelect, []);
+
+  // Номер последнего запроса: ответ, пришедший после смены фильтра, отбрасывается
+  let latestRequest = 0;
+
+  // Загрузить рейтинг на момент после турнира и перерисовать таблицу
+  const reload = async (tournamentId, request = ++latestRequest) => {
+    currentTournamentId = tournamentId;
+    try {
+      const engine = engineSelect.value;
+      const data = await fetchRatingData(tournamentId, engine);
+      if (request !== latestRequest) return;
+      renderAsOf(data.asOf);
+      updateExportLinks(tournamentId, engine);
+      updateRatingData(data, engine);
+    } catch (error) {
+      if (request === latestRequest) showError(error);
+    }
+  };
+
+  seasonSelect.addEventListener('change', async () => {
+    const request = ++latestRequest;
+    const seasonId = seasonSelect.value;
+    try {
+      const tournaments = seasonId
+        ? await fetchJson(`/seasons/${seasonId}/tournaments`, 'Не удалось загрузить турниры сезона')
+        : [];
+      if (request !== latestRequest) return;
+      seasonTournaments = tournaments;
+    } catch (error) {
+      if (request === latestRequest) showError(error);
+      return;
+    }
+    renderStageOptions(stageSelect, seasonTournaments);
+
+    // Весь сезон — рейтинг после его последнего турнира
+    const lastTournament = seasonTournaments[seasonTournaments.length - 1];
+    await reload(lastTournament?.id || null, request);
+  });
+
+  stageSelect.addEventListener('change', async () => {
+    const tournamentId = stageSelect.value
+      ? parseInt(stageSelect.value, 10)
+      : seasonTournaments[seasonTournaments.length - 1]?.id || null;
+    await reload(tournamentId);
+  });
+
+  engineSelect.addEventListener('change', () => reload(currentTournamentId));
+}
 
 /**
  * Initialize the application
@@ -16,21 +170,17 @@ async function init() {
   console.log('🏐 NAGORNAYA Beach Volleyball Rating System');
 
   try {
-    const data = loadTournamentData(tournamentData);
+    const [data, seasons] = await Promise.all([
+      fetchRatingData(),
+      fetchJson('/seasons', 'Не удалось загрузить список сезонов')
+    ]);
     console.log(`✅ Loaded ${data.players.length} players, ${data.matches.length} matches`);
 
-    // Передаем и обработанные данные, и сырые данные турнира
-    initUI(data, tournamentData);
+    renderAsOf(data.asOf);
+    initUI(data);
+    setupPeriodFilters(seasons);
   } catch (error) {
-    console.error('❌ Error:', error);
-    document.body.innerHTML = `
-      <div class="min-h-screen bg-background-dark flex items-center justify-center p-8">
-        <div class="text-center">
-          <h2 class="text-2xl font-bold text-red-400 mb-4">Ошибка загрузки данных</h2>
-          <p class="text-slate-400">${error.message}</p>
-        </div>
-      </div>
-    `;
+    showError(error);
   }
 }
 
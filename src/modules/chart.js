@@ -77,8 +77,9 @@ function calculateScale(data, dimensions) {
  * @param {SVGElement} svg - SVG element
  * @param {Object} dimensions - Chart dimensions
  * @param {Object} scale - Scale object
+ * @param {number} baselineRating - Начальный рейтинг (базовая линия)
  */
-function createGrid(svg, dimensions, scale) {
+function createGrid(svg, dimensions, scale, baselineRating) {
   const gridGroup = createSvgElement('g', { class: 'chart-grid' });
 
   // Horizontal grid lines (rating values)
@@ -110,8 +111,8 @@ function createGrid(svg, dimensions, scale) {
     gridGroup.appendChild(label);
   }
 
-  // Baseline at 1500
-  const baselineY = scale.y(1500);
+  // Baseline at the starting rating
+  const baselineY = scale.y(baselineRating);
   if (baselineY >= CHART_CONFIG.padding.top && baselineY <= dimensions.height - CHART_CONFIG.padding.bottom) {
     const baseline = createSvgElement('line', {
       x1: CHART_CONFIG.padding.left,
@@ -188,7 +189,7 @@ function renderChartContent(container, ratingHistory) {
   });
 
   // Create grid
-  createGrid(svg, dimensions, scale);
+  createGrid(svg, dimensions, scale, ratingHistory[0].rating);
 
   // Create line
   const linePath = createLinePath(ratingHistory, scale);
@@ -2,23 +2,8 @@
  * Data Manager - handles loading, processing and storing tournament data
  */
 
-import { processAllMatches } from './elo.js';
-
-// Name normalization map (abbreviations to full names)
-const NAME_NORMALIZATIONS = {
-  'Преображенская Ек.': 'Преображенская Екатерина',
-  'Подковырина Вас.': 'Подковырина Василиса',
-  'Захарченко Вл.': 'Захарченко Владимир'
-};
-
-/**
- * Normalize player name
- * @param {string} name - Raw player name
- * @returns {string} Normalized name
- */
-function normalizeName(name) {
-  return NAME_NORMALIZATIONS[name] || name;
-}
+import { processAllMatches, getWinner, DRAW } from './elo.js';
+import { validateTournamentData, formatIssue } from './validator.js';
 
 /**
  * Generate unique match ID
@@ -41,8 +26,16 @@ let rawTournamentDataStore = null;
  * Parse raw tournament data and extract all matches in processing order
  * @param {Object} rawData - Raw tournament data
  * @returns {Array} Array of match objects
+ * @throws {Error} If the data fails validation (see validator.js)
  */
 export function parseRawTournamentData(rawData) {
+  // Проверяем файл до обработки: ошибки останавливают загрузку, предупреждения только выводятся
+  const { valid, errors, warnings } = validateTournamentData(rawData);
+  warnings.forEach(issue => console.warn(`⚠️ ${formatIssue(issue)}`));
+  if (!valid) {
+    throw new Error(`Некорректные данные турнира:\n${errors.map(formatIssue).join('\n')}`);
+  }
+
   const matches = [];
   const { tournament, date, leagues } = rawData;
 
@@ -62,18 +55,8 @@ export function parseRawTournamentData(rawData) {
       const stage = group.stage || 'qualification';
 
       group.matches.forEach(match => {
-        // Skip draws (like match 16 in Первая лига B with score 15-15)
-        if (match.score[0] === match.score[1]) {
-          console.log(`      Skipping draw: Match ${match.id} (${match.score[0]}-${match.score[1]})`);
-          return;
-        }
-
-        // Determine winner (team1 wins if score[0] > score[1])
-        const winner = match.score[0] > match.score[1] ? 1 : 2;
-
-        // Normalize player names
-        const team1 = match.team1.map(normalizeName);
-        const team2 = match.team2.map(normalizeName);
+        // Determine winner (ничья вроде 15:15 — DRAW, в Elo идёт как 0.5)
+        const winner = getWinner(match.score);
 
         matches.push({
           id: generateMatchId(tournament, league.name, group.name, match.id),
@@ -83,8 +66,8 @@ export function parseRawTournamentData(rawData) {
           group: group.name,
           stage: stage,
           court: match.court,
-          team1: team1,
-          team2: team2,
+          team1: match.team1,
+          team2: match.team2,
           score: match.score,
           winner: winner
         });
@@ -96,18 +79,8 @@ export function parseRawTournamentData(rawData) {
       console.log(`    Playoff: ${league.playoff.matches.length} matches`);
 
       league.playoff.matches.forEach(match => {
-        // Skip draws
-        if (match.score[0] === match.score[1]) {
-          console.log(`      Skipping draw: Match ${match.id} (${match.score[0]}-${match.score[1]})`);
-          return;
-        }
-
         // Determine winner
-        const winner = match.score[0] > match.score[1] ? 1 : 2;
-
-        // Normalize player names
-        const team1 = match.team1.map(normalizeName);
-        const team2 = match.team2.map(normalizeName);
+        const winner = getWinner(match.score);
 
         matches.push({
           id: generateMatchId(tournament, league.name, 'playoff', match.id),
@@ -117,8 +90,8 @@ export function parseRawTournamentData(rawData) {
           group: 'playoff',
           stage: 'playoff',
           round: match.round,
-          team1: team1,
-          team2: team2,
+          team1: match.team1,
+          team2: match.team2,
           score: match.score,
           winner: winner
         });
@@ -193,6 +166,7 @@ export function getMatchDetails(match, playerId) {
   const opponentTeam = isTeam1 ? match.team2 : match.team1;
   const partner = playerTeam.find(p => p !== playerId);
   const playerWon = (isTeam1 && match.winner === 1) || (!isTeam1 && match.winner === 2);
+  const isDraw = match.winner === DRAW;
   const playerScore = isTeam1 ? match.score[0] : match.score[1];
   const opponentScore = isTeam1 ? match.score[1] : match.score[0];
 
@@ -200,9 +174,11 @@ export function getMatchDetails(match, playerId) {
     partner,
     opponents: opponentTeam,
     playerWon,
+    isDraw,
     playerScore,
     opponentScore,
-    ratingChange: match.ratingChanges[playerId]
+    // У Glicko-2 изменения считаются за игровой день, а не за матч
+    ratingChange: match.ratingChanges ? match.ratingChanges[playerId] : null
   };
 }
 
@@ -215,9 +191,9 @@ export function getMatchDetails(match, playerId) {
 export function calculateStats(players, matches) {
   const totalGames = matches.length;
   const totalPlayers = players.length;
-  const avgRating = Math.round(
-    players.reduce((sum, p) => sum + p.currentRating, 0) / players.length
-  );
+  const avgRating = players.length > 0
+    ? Math.round(players.reduce((sum, p) => sum + p.currentRating, 0) / players.length)
+    : 0;
   const calibratedPlayers = players.filter(p => p.isCalibrated).length;
 
   return {
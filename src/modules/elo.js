@@ -1,15 +1,24 @@
 /**
  * Elo Rating Calculator for Beach Volleyball (2x2)
- * Based on Lichess model
+ * Classic Elo engine: team rating is the average of partners, K-factor depends on
+ * games played and rating; draws count as half a win, optional margin-of-victory multiplier
  */
 
 // Constants
-const INITIAL_RATING = 1500;
-const K_FACTOR_ELITE = 10;      // Для игроков с рейтингом 2400+
-const K_FACTOR_REGULAR = 20;   // Для игроков с рейтингом < 2400
-const K_FACTOR_NEW = 40;       // Для новичков (первые 30 игр)
-const CALIBRATION_GAMES = 30;  // Количество игр для калибровки
-const ELITE_RATING = 2400;     // Порог элитного рейтинга
+const MOV_DAMPING = 2.2;       // Гашение множителя разницы счёта (автокорреляция)
+
+/**
+ * Параметры Elo по умолчанию. На сервере переопределяются настройками сезона
+ * (seasons.rating_config) — для каждого матча действуют параметры его сезона
+ */
+export const DEFAULT_ELO_PARAMS = {
+  initialRating: 1500,   // Начальный рейтинг
+  kFactorElite: 10,      // Для игроков с рейтингом eliteRating+
+  kFactorRegular: 20,    // Для игроков с рейтингом < eliteRating
+  kFactorNew: 40,        // Для новичков (первые calibrationGames игр)
+  calibrationGames: 30,  // Количество игр для калибровки
+  eliteRating: 2400      // Порог элитного рейтинга
+};
 
 /**
  * Calculate expected score using Elo formula
@@ -24,41 +33,80 @@ export function calculateExpectedScore(playerRating, opponentRating) {
 
 /**
  * Get K-factor based on rating and number of games played
- * K = 10 для рейтинга 2400+
- * K = 20 для рейтинга < 2400
- * K = 40 для новичков (первые 30 игр)
+ * K = kFactorNew для новичков (первые calibrationGames игр)
+ * K = kFactorElite для рейтинга eliteRating+
+ * K = kFactorRegular для остальных
  * @param {number} gamesPlayed - Number of games the player has played
  * @param {number} currentRating - Player's current rating
+ * @param {Object} params - Параметры Elo (по умолчанию DEFAULT_ELO_PARAMS)
  * @returns {number} K-factor to use
  */
-export function getKFactor(gamesPlayed, currentRating = INITIAL_RATING) {
-  // Новички - первые 30 игр
-  if (gamesPlayed < CALIBRATION_GAMES) {
-    return K_FACTOR_NEW;
+export function getKFactor(gamesPlayed, currentRating = DEFAULT_ELO_PARAMS.initialRating, params = DEFAULT_ELO_PARAMS) {
+  // Новички - первые calibrationGames игр
+  if (gamesPlayed < params.calibrationGames) {
+    return params.kFactorNew;
   }
-  // Элитные игроки - рейтинг 2400+
-  if (currentRating >= ELITE_RATING) {
-    return K_FACTOR_ELITE;
+  // Элитные игроки - рейтинг eliteRating+
+  if (currentRating >= params.eliteRating) {
+    return params.kFactorElite;
   }
   // Обычные игроки
-  return K_FACTOR_REGULAR;
+  return params.kFactorRegular;
+}
+
+/** match.winner для ничьей (1 и 2 — победа первой или второй команды) */
+export const DRAW = 0;
+
+/**
+ * Determine match winner from the score
+ * @param {Array<number>} score - [team1, team2]
+ * @returns {number} 1, 2 или DRAW
+ */
+export function getWinner(score) {
+  if (score[0] === score[1]) return DRAW;
+  return score[0] > score[1] ? 1 : 2;
+}
+
+/**
+ * Actual score S of a team: 1 — победа, 0.5 — ничья, 0 — поражение
+ * @param {number} winner - match.winner
+ * @param {number} team - 1 или 2
+ * @returns {number}
+ */
+export function getActualScore(winner, team) {
+  if (winner === DRAW) return 0.5;
+  return winner === team ? 1 : 0;
+}
+
+/**
+ * Margin-of-victory multiplier (по модели FiveThirtyEight)
+ * M = ln(|разница очков| + 1) * 2.2 / (ΔR_победителя * 0.001 + 2.2)
+ * Знаменатель гасит множитель, когда побеждает фаворит: иначе крупные победы
+ * сильных команд раздували бы рейтинг (автокорреляция)
+ * @param {number} pointDiff - Разница очков в матче
+ * @param {number} winnerRatingDiff - Рейтинг команды-победителя минус рейтинг проигравшей
+ * @returns {number} Множитель изменения рейтинга
+ */
+export function calculateMarginMultiplier(pointDiff, winnerRatingDiff) {
+  return Math.log(Math.abs(pointDiff) + 1) * MOV_DAMPING / (winnerRatingDiff * 0.001 + MOV_DAMPING);
 }
 
 /**
  * Calculate rating change for a player
- * ΔR = K * (S - E)
+ * ΔR = K * M * (S - E)
  * @param {number} playerRating - Player's current rating
  * @param {number} opponentTeamRating - Average rating of opponent team
- * @param {boolean} isWinner - Whether the player won
+ * @param {number|boolean} actualScore - S: 1 победа, 0.5 ничья, 0 поражение (true/false — победа/поражение)
  * @param {number} gamesPlayed - Number of games the player has played
+ * @param {number} multiplier - M: множитель разницы счёта (1 — без учёта разницы)
+ * @param {Object} params - Параметры Elo
  * @returns {number} Rating change (can be positive or negative)
  */
-export function calculateRatingChange(playerRating, opponentTeamRating, isWinner, gamesPlayed) {
+export function calculateRatingChange(playerRating, opponentTeamRating, actualScore, gamesPlayed, multiplier = 1, params = DEFAULT_ELO_PARAMS) {
   const expectedScore = calculateExpectedScore(playerRating, opponentTeamRating);
-  const actualScore = isWinner ? 1 : 0;
-  const kFactor = getKFactor(gamesPlayed, playerRating);
+  const kFactor = getKFactor(gamesPlayed, playerRating, params);
 
-  return Math.round(kFactor * (actualScore - expectedScore));
+  return Math.round(kFactor * multiplier * (Number(actualScore) - expectedScore));
 }
 
 /**
@@ -73,26 +121,37 @@ export function calculateTeamRating(rating1, rating2) {
 
 /**
  * Process a single match and calculate rating changes for all players
- * @param {Object} match - Match data
+ * @param {Object} match - Match data (winner: 1, 2 или DRAW;
+ *   marginOfVictory: true — учитывать разницу счёта, см. calculateMarginMultiplier)
+ *   Новые игроки начинают с params.initialRating
  * @param {Map} playerRatings - Map of player ID to current rating
  * @param {Map} playerGames - Map of player ID to games played
+ * @param {Object} params - Параметры Elo
  * @returns {Object} Rating changes for each player
  */
-export function processMatch(match, playerRatings, playerGames) {
+export function processMatch(match, playerRatings, playerGames, params = DEFAULT_ELO_PARAMS) {
   const { team1, team2, winner } = match;
 
   // Get current ratings
-  const team1Player1Rating = playerRatings.get(team1[0]) || INITIAL_RATING;
-  const team1Player2Rating = playerRatings.get(team1[1]) || INITIAL_RATING;
-  const team2Player1Rating = playerRatings.get(team2[0]) || INITIAL_RATING;
-  const team2Player2Rating = playerRatings.get(team2[1]) || INITIAL_RATING;
+  const team1Player1Rating = playerRatings.get(team1[0]) ?? params.initialRating;
+  const team1Player2Rating = playerRatings.get(team1[1]) ?? params.initialRating;
+  const team2Player1Rating = playerRatings.get(team2[0]) ?? params.initialRating;
+  const team2Player2Rating = playerRatings.get(team2[1]) ?? params.initialRating;
 
   // Calculate team average ratings
   const team1AvgRating = calculateTeamRating(team1Player1Rating, team1Player2Rating);
   const team2AvgRating = calculateTeamRating(team2Player1Rating, team2Player2Rating);
 
-  // Determine winners
-  const team1Won = winner === 1;
+  // Фактический результат команд (ничья — по 0.5)
+  const team1Score = getActualScore(winner, 1);
+  const team2Score = getActualScore(winner, 2);
+
+  // Множитель разницы счёта (у ничьей разницы нет)
+  let multiplier = 1;
+  if (match.marginOfVictory && winner !== DRAW) {
+    const winnerRatingDiff = winner === 1 ? team1AvgRating - team2AvgRating : team2AvgRating - team1AvgRating;
+    multiplier = calculateMarginMultiplier(match.score[0] - match.score[1], winnerRatingDiff);
+  }
 
   // Calculate rating changes for each player
   const ratingChanges = {};
@@ -101,55 +160,109 @@ export function processMatch(match, playerRatings, playerGames) {
   ratingChanges[team1[0]] = calculateRatingChange(
     team1Player1Rating,
     team2AvgRating,
-    team1Won,
-    playerGames.get(team1[0]) || 0
+    team1Score,
+    playerGames.get(team1[0]) || 0,
+    multiplier,
+    params
   );
 
   ratingChanges[team1[1]] = calculateRatingChange(
     team1Player2Rating,
     team2AvgRating,
-    team1Won,
-    playerGames.get(team1[1]) || 0
+    team1Score,
+    playerGames.get(team1[1]) || 0,
+    multiplier,
+    params
   );
 
   // Team 2 players
   ratingChanges[team2[0]] = calculateRatingChange(
     team2Player1Rating,
     team1AvgRating,
-    !team1Won,
-    playerGames.get(team2[0]) || 0
+    team2Score,
+    playerGames.get(team2[0]) || 0,
+    multiplier,
+    params
   );
 
   ratingChanges[team2[1]] = calculateRatingChange(
     team2Player2Rating,
     team1AvgRating,
-    !team1Won,
-    playerGames.get(team2[1]) || 0
+    team2Score,
+    playerGames.get(team2[1]) || 0,
+    multiplier,
+    params
   );
 
   return ratingChanges;
 }
 
+/**
+ * Движок Elo (интерфейс — см. ratingEngine.js).
+ * Параметры матча: DEFAULT_ELO_PARAMS, поверх — match.eloParams (настройки сезона),
+ * поверх — params движка (например, перебор в бэктесте)
+ * @param {Object} params - Параметры, отличные от DEFAULT_ELO_PARAMS
+ * @returns {Object} Движок
+ */
+export function createEloEngine(params = {}) {
+  const eloParams = { ...DEFAULT_ELO_PARAMS, ...params };
+  const getParams = match => (match.eloParams ? { ...DEFAULT_ELO_PARAMS, ...match.eloParams, ...params } : eloParams);
+  const getRating = (state, playerId, matchParams) => state.ratings.get(playerId) ?? matchParams.initialRating;
+
+  return {
+    name: 'elo',
+    params: eloParams,
+    getParams,
+
+    createState() {
+      return { ratings: new Map(), games: new Map() };
+    },
+
+    expectedScore(state, match) {
+      const matchParams = getParams(match);
+      return calculateExpectedScore(
+        calculateTeamRating(getRating(state, match.team1[0], matchParams), getRating(state, match.team1[1], matchParams)),
+        calculateTeamRating(getRating(state, match.team2[0], matchParams), getRating(state, match.team2[1], matchParams))
+      );
+    },
+
+    update(state, match) {
+      const matchParams = getParams(match);
+      const ratingChanges = processMatch(match, state.ratings, state.games, matchParams);
+      Object.entries(ratingChanges).forEach(([playerId, change]) => {
+        state.ratings.set(playerId, getRating(state, playerId, matchParams) + change);
+        state.games.set(playerId, (state.games.get(playerId) || 0) + 1);
+      });
+      return ratingChanges;
+    },
+
+    finish() {},
+
+    getPlayers(state) {
+      return Array.from(state.ratings, ([id, rating]) => ({ id, rating, gamesPlayed: state.games.get(id) }));
+    }
+  };
+}
+
 /**
  * Process all matches and calculate final ratings for all players
- * @param {Array} matches - Array of match objects
+ * @param {Array} matches - Array of match objects (eloParams — параметры сезона матча)
+ * @param {Object} params - Параметры Elo поверх параметров сезонов (см. createEloEngine)
  * @returns {Object} Object containing players data and processed matches
  */
-export function processAllMatches(matches) {
-  const playerRatings = new Map();
-  const playerGames = new Map();
+export function processAllMatches(matches, params = {}) {
+  const engine = createEloEngine(params);
+  const state = engine.createState();
   const playerHistory = new Map();
   const processedMatches = [];
 
-  // Initialize all players from matches
+  // Initialize all players from matches (начальный рейтинг — по параметрам первого матча)
   matches.forEach(match => {
     [...match.team1, ...match.team2].forEach(playerId => {
-      if (!playerRatings.has(playerId)) {
-        playerRatings.set(playerId, INITIAL_RATING);
-        playerGames.set(playerId, 0);
+      if (!playerHistory.has(playerId)) {
         playerHistory.set(playerId, [{
           date: match.date,
-          rating: INITIAL_RATING,
+          rating: engine.getParams(match).initialRating,
           matchId: null,
           change: 0
         }]);
@@ -159,21 +272,21 @@ export function processAllMatches(matches) {
 
   // Process matches in order
   matches.forEach(match => {
-    const ratingChanges = processMatch(match, playerRatings, playerGames);
+    // Доля изменения за счёт разницы счёта: сравнение с тем же матчем без множителя
+    const baseChanges = match.marginOfVictory
+      ? processMatch({ ...match, marginOfVictory: false }, state.ratings, state.games, engine.getParams(match))
+      : null;
 
-    // Update ratings and games count
-    Object.entries(ratingChanges).forEach(([playerId, change]) => {
-      const newRating = playerRatings.get(playerId) + change;
-      playerRatings.set(playerId, newRating);
-      playerGames.set(playerId, (playerGames.get(playerId) || 0) + 1);
+    const ratingChanges = engine.update(state, match);
 
-      // Add to history
-      const history = playerHistory.get(playerId);
-      history.push({
+    // Record history
+    Object.entries(ratingChanges).forEach(([playerId, change]) => {
+      playerHistory.get(playerId).push({
         date: match.date,
-        rating: newRating,
+        rating: state.ratings.get(playerId),
         matchId: match.id,
-        change: change
+        change: change,
+        marginChange: baseChanges ? change - baseChanges[playerId] : 0
       });
     });
 
@@ -184,22 +297,21 @@ export function processAllMatches(matches) {
     });
   });
 
+  // Калибровка — по параметрам последнего матча (действующего сезона)
+  const activeParams = matches.length > 0 ? engine.getParams(matches[matches.length - 1]) : engine.params;
+
   // Build players array
-  const players = [];
-  playerRatings.forEach((rating, playerId) => {
-    const gamesPlayed = playerGames.get(playerId);
-    const history = playerHistory.get(playerId);
-    const lastChange = history.length > 1 ? history[history.length - 1].change : 0;
-
-    players.push({
-      id: playerId,
-      name: playerId, // Name is same as ID in our case
+  const players = engine.getPlayers(state).map(({ id, rating, gamesPlayed }) => {
+    const history = playerHistory.get(id);
+    return {
+      id,
+      name: id, // Name is same as ID in our case
       currentRating: rating,
       gamesPlayed: gamesPlayed,
-      isCalibrated: gamesPlayed >= CALIBRATION_GAMES,
+      isCalibrated: gamesPlayed >= activeParams.calibrationGames,
       ratingHistory: history,
-      lastChange: lastChange
-    });
+      lastChange: history.length > 1 ? history[history.length - 1].change : 0
+    };
   });
 
   // Sort players by rating (descending)
@@ -211,4 +323,4 @@ export function processAllMatches(matches) {
   };
 }
 
-export { INITIAL_RATING, K_FACTOR_ELITE, K_FACTOR_REGULAR, K_FACTOR_NEW, CALIBRATION_GAMES, ELITE_RATING };
+export { MOV_DAMPING };
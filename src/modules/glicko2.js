@@ -0,0 +1,348 @@
+/**
+ * Glicko-2 Rating Calculator for Beach Volleyball (2x2)
+ * По статье M. Glickman «Example of the Glicko-2 system»; рейтинговый период — игровой день
+ * (все матчи одной даты считаются по рейтингам на начало дня)
+ */
+
+// Constants
+const INITIAL_RATING = 1500;
+const INITIAL_RD = 350;           // Начальное отклонение (и потолок роста при простое)
+const INITIAL_VOLATILITY = 0.06;  // Начальная волатильность
+const TAU = 0.5;                  // Ограничение изменения волатильности (0.3–1.2)
+const PROVISIONAL_RD = 110;       // Выше — рейтинг предварительный (как на Lichess)
+const SCALE = 173.7178;           // Перевод в шкалу Glicko-2: μ = (r - 1500) / 173.7178
+const EPSILON = 0.000001;         // Точность итераций волатильности
+
+/**
+ * Ослабление влияния соперника с неточным рейтингом
+ * @param {number} phi - Отклонение соперника в шкале Glicko-2
+ * @returns {number}
+ */
+function g(phi) {
+  return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+/**
+ * Expected score in the Glicko-2 scale
+ * @param {number} mu - Рейтинг игрока (шкала Glicko-2)
+ * @param {number} opponentMu - Рейтинг соперника
+ * @param {number} opponentPhi - Отклонение соперника
+ * @returns {number} Ожидаемый результат (0-1)
+ */
+function expectedScore(mu, opponentMu, opponentPhi) {
+  return 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+}
+
+/**
+ * Calculate expected score in the usual rating scale
+ * @param {Object} player - { rating, rd }
+ * @param {Object} opponent - { rating, rd }
+ * @returns {number} Ожидаемый результат игрока (0-1)
+ */
+export function calculateExpectedScore(player, opponent) {
+  return expectedScore(
+    (player.rating - INITIAL_RATING) / SCALE,
+    (opponent.rating - INITIAL_RATING) / SCALE,
+    opponent.rd / SCALE
+  );
+}
+
+/**
+ * Composite-рейтинг команды: среднее рейтингов и среднеквадратичное отклонений
+ * @param {Object} player1 - { rating, rd }
+ * @param {Object} player2 - { rating, rd }
+ * @returns {{rating: number, rd: number}}
+ */
+export function calculateTeamRating(player1, player2) {
+  return {
+    rating: (player1.rating + player2.rating) / 2,
+    rd: Math.sqrt((player1.rd * player1.rd + player2.rd * player2.rd) / 2)
+  };
+}
+
+/**
+ * Рост отклонения за рейтинговые периоды без игр
+ * @param {number} rd - Отклонение
+ * @param {number} volatility - Волатильность
+ * @param {number} periods - Число периодов
+ * @returns {number} Новое отклонение (не больше INITIAL_RD)
+ */
+export function inflateDeviation(rd, volatility, periods = 1) {
+  const phi = rd / SCALE;
+  return Math.min(Math.sqrt(phi * phi + periods * volatility * volatility) * SCALE, INITIAL_RD);
+}
+
+/**
+ * Новая волатильность (шаг 5 алгоритма, метод Иллинойса)
+ * @param {number} phi - Отклонение игрока
+ * @param {number} sigma - Волатильность игрока
+ * @param {number} delta - Оценка улучшения рейтинга
+ * @param {number} v - Оценка дисперсии рейтинга по результатам
+ * @param {number} tau - Ограничение изменения волатильности
+ * @returns {number}
+ */
+function updateVolatility(phi, sigma, delta, v, tau) {
+  const a = Math.log(sigma * sigma);
+  const f = x => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return ex * (delta * delta - phi * phi - v - ex) / (2 * d * d) - (x - a) / (tau * tau);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * tau) < 0) k++;
+    B = a - k * tau;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > EPSILON) {
+    const C = A + (A - B) * fA / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+/**
+ * Обновить игрока по результатам рейтингового периода
+ * @param {Object} player - { rating, rd, volatility } на начало периода
+ * @param {Array} games - { opponentRating, opponentRd, score } — score: 1 победа, 0.5 ничья, 0 поражение
+ * @param {number} tau - Ограничение изменения волатильности
+ * @returns {{rating: number, rd: number, volatility: number}}
+ */
+export function updatePlayer(player, games, tau = TAU) {
+  if (games.length === 0) {
+    return { ...player, rd: inflateDeviation(player.rd, player.volatility) };
+  }
+
+  const mu = (player.rating - INITIAL_RATING) / SCALE;
+  const phi = player.rd / SCALE;
+
+  let vInverse = 0;
+  let improvement = 0;
+  for (const game of games) {
+    const opponentMu = (game.opponentRating - INITIAL_RATING) / SCALE;
+    const opponentPhi = game.opponentRd / SCALE;
+    const gPhi = g(opponentPhi);
+    const E = expectedScore(mu, opponentMu, opponentPhi);
+    vInverse += gPhi * gPhi * E * (1 - E);
+    improvement += gPhi * (game.score - E);
+  }
+  const v = 1 / vInverse;
+
+  const volatility = updateVolatility(phi, player.volatility, v * improvement, v, tau);
+  const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * improvement;
+
+  return {
+    rating: newMu * SCALE + INITIAL_RATING,
+    rd: Math.min(newPhi * SCALE, INITIAL_RD),
+    volatility
+  };
+}
+
+/**
+ * Игра игрока против команды соперников для updatePlayer.
+ * Соперник подбирается так, чтобы разница рейтингов была разницей composite-рейтингов команд:
+ * сильный партнёр повышает ожидание, а не только собственный рейтинг
+ * @param {Object} player - { rating }
+ * @param {Object} team - Composite-рейтинг своей команды
+ * @param {Object} opponents - Composite-рейтинг соперников
+ * @param {number} score - Результат команды
+ * @returns {Object} { opponentRating, opponentRd, score }
+ */
+function teamGame(player, team, opponents, score) {
+  return {
+    opponentRating: opponents.rating + player.rating - team.rating,
+    opponentRd: opponents.rd,
+    score
+  };
+}
+
+/**
+ * Рейтинг игрока в состоянии движка (новый игрок — с начальными значениями)
+ * @param {Object} state - Состояние движка
+ * @param {string} playerId - ID игрока
+ * @returns {Object} { rating, rd, volatility }
+ */
+function getPlayer(state, playerId) {
+  return state.players.get(playerId) || { rating: INITIAL_RATING, rd: INITIAL_RD, volatility: INITIAL_VOLATILITY };
+}
+
+/**
+ * Composite-рейтинги команд матча
+ * @param {Object} state - Состояние движка
+ * @param {Object} match - Матч
+ * @returns {Array<Object>} [team1, team2]
+ */
+function getTeamRatings(state, match) {
+  return [match.team1, match.team2].map(team =>
+    calculateTeamRating(getPlayer(state, team[0]), getPlayer(state, team[1])));
+}
+
+/**
+ * Закрыть рейтинговый период: обновить всех известных игроков
+ * (у не игравших в этот день растёт отклонение) и записать историю сыгравших
+ * @param {Object} state - Состояние движка
+ * @param {number} tau - Ограничение изменения волатильности
+ */
+function closePeriod(state, tau) {
+  const { date, games } = state.period;
+  state.period = null;
+
+  const updated = new Map();
+  state.players.forEach((player, playerId) => {
+    updated.set(playerId, updatePlayer(player, games.get(playerId) || [], tau));
+  });
+
+  updated.forEach((player, playerId) => {
+    const before = state.players.get(playerId);
+    state.players.set(playerId, player);
+    const played = games.get(playerId)?.length || 0;
+    if (played === 0) return;
+
+    state.games.set(playerId, state.games.get(playerId) + played);
+    state.history.get(playerId).push({
+      date,
+      rating: Math.round(player.rating),
+      rd: Math.round(player.rd),
+      volatility: player.volatility,
+      games: played,
+      change: Math.round(player.rating) - Math.round(before.rating)
+    });
+  });
+}
+
+/**
+ * Перейти к рейтинговому периоду даты матча (предыдущий день закрывается)
+ * @param {Object} state - Состояние движка
+ * @param {string} date - Дата матча
+ * @param {number} tau - Ограничение изменения волатильности
+ */
+function startPeriod(state, date, tau) {
+  if (state.period && state.period.date === date) return;
+  if (state.period) closePeriod(state, tau);
+  state.period = { date, games: new Map() };
+}
+
+/**
+ * Движок Glicko-2 (интерфейс — см. ratingEngine.js).
+ * Матч не меняет рейтинги сразу: игры копятся до конца игрового дня,
+ * поэтому прогноз матча переводит движок на его дату
+ * @param {Object} params - { tau }
+ * @returns {Object} Движок
+ */
+export function createGlickoEngine(params = {}) {
+  const glickoParams = { tau: TAU, ...params };
+  const { tau } = glickoParams;
+
+  return {
+    name: 'glicko2',
+    params: glickoParams,
+
+    createState() {
+      return { players: new Map(), games: new Map(), history: new Map(), period: null };
+    },
+
+    expectedScore(state, match) {
+      startPeriod(state, match.date, tau);
+      const [team1, team2] = getTeamRatings(state, match);
+      return calculateExpectedScore(team1, team2);
+    },
+
+    update(state, match) {
+      startPeriod(state, match.date, tau);
+
+      // Новые игроки входят в период с начальными значениями
+      for (const playerId of [...match.team1, ...match.team2]) {
+        if (!state.players.has(playerId)) {
+          state.players.set(playerId, getPlayer(state, playerId));
+          state.games.set(playerId, 0);
+          state.history.set(playerId, [{ date: match.date, rating: INITIAL_RATING, rd: INITIAL_RD, matchId: null, change: 0 }]);
+        }
+      }
+
+      // Все игры периода считаются по рейтингам на его начало
+      const [team1, team2] = getTeamRatings(state, match);
+      const team1Score = match.winner === 1 ? 1 : match.winner === 2 ? 0 : 0.5;
+      const addGame = (playerId, game) => {
+        if (!state.period.games.has(playerId)) state.period.games.set(playerId, []);
+        state.period.games.get(playerId).push(game);
+      };
+      match.team1.forEach(id => addGame(id, teamGame(state.players.get(id), team1, team2, team1Score)));
+      match.team2.forEach(id => addGame(id, teamGame(state.players.get(id), team2, team1, 1 - team1Score)));
+    },
+
+    finish(state) {
+      if (state.period) closePeriod(state, tau);
+    },
+
+    getPlayers(state) {
+      return Array.from(state.players, ([id, player]) => ({
+        id,
+        rating: player.rating,
+        rd: player.rd,
+        volatility: player.volatility,
+        gamesPlayed: state.games.get(id)
+      }));
+    }
+  };
+}
+
+/**
+ * Process all matches: рейтинговые периоды по датам, в каждом — все игроки,
+ * появившиеся к этому дню (у пропустивших растёт отклонение)
+ * @param {Array} matches - Матчи в хронологическом порядке ({ id, date, team1, team2, winner })
+ * @param {Object} params - Параметры движка ({ tau })
+ * @returns {Object} { players, matches } — игроки с rating, rd, volatility и ratingHistory по периодам
+ */
+export function processAllMatches(matches, params = {}) {
+  const engine = createGlickoEngine(params);
+  const state = engine.createState();
+
+  const processedMatches = matches.map(match => {
+    const expectedScore = engine.expectedScore(state, match);
+    engine.update(state, match);
+    return { ...match, expectedScore };
+  });
+  engine.finish(state);
+
+  const players = engine.getPlayers(state).map(player => {
+    const history = state.history.get(player.id);
+    return {
+      id: player.id,
+      name: player.id,
+      currentRating: Math.round(player.rating),
+      rd: Math.round(player.rd),
+      volatility: Math.round(player.volatility * 10000) / 10000,
+      gamesPlayed: player.gamesPlayed,
+      isCalibrated: player.rd <= PROVISIONAL_RD,
+      ratingHistory: history,
+      lastChange: history.length > 1 ? history[history.length - 1].change : 0
+    };
+  });
+
+  players.sort((a, b) => b.currentRating - a.currentRating);
+
+  return {
+    players,
+    matches: processedMatches
+  };
+}
+
+export { INITIAL_RATING, INITIAL_RD, INITIAL_VOLATILITY, TAU, PROVISIONAL_RD };
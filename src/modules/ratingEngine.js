@@ -0,0 +1,53 @@
+/**
+ * Rating engines - общий интерфейс систем рейтинга (Elo, Glicko-2)
+ *
+ * Движок — объект:
+ *   name                         — ключ движка ('elo', 'glicko2')
+ *   params                       — параметры с учётом умолчаний
+ *   createState()                — пустое состояние (рейтинги игроков)
+ *   expectedScore(state, match)  — вероятность победы team1 до матча (ничья — 0.5)
+ *   update(state, match)         — учесть результат матча
+ *   finish(state)                — досчитать отложенное (у Glicko-2 — последний рейтинговый период)
+ *   getPlayers(state)            — [{ id, rating, gamesPlayed, ... }]
+ * Матчи — в формате processAllMatches ({ id, date, team1, team2, score, winner }), по хронологии
+ */
+
+import { createEloEngine } from './elo.js';
+import { createGlickoEngine } from './glicko2.js';
+
+/** Движки по ключу: фабрика принимает параметры, отличные от умолчаний */
+export const RATING_ENGINES = {
+  elo: createEloEngine,
+  glicko2: createGlickoEngine
+};
+
+/**
+ * Создать движок по ключу
+ * @param {string} name - Ключ из RATING_ENGINES
+ * @param {Object} params - Параметры движка
+ * @returns {Object} Движок
+ * @throws {Error} Если движок неизвестен
+ */
+export function createRatingEngine(name, params = {}) {
+  if (!(name in RATING_ENGINES)) {
+    throw new Error(`Неизвестный движок рейтинга: ${name} (допустимо: ${Object.keys(RATING_ENGINES).join(', ')})`);
+  }
+  return RATING_ENGINES[name](params);
+}
+
+/**
+ * Прогнать матчи через движок; прогноз каждого матча снимается до его учёта
+ * @param {Object} engine - Движок
+ * @param {Array} matches - Матчи по хронологии
+ * @param {function(Object, number): void} onPrediction - Вызывается с матчем и прогнозом для team1
+ * @returns {Object} Итоговое состояние движка
+ */
+export function replayMatches(engine, matches, onPrediction = () => {}) {
+  const state = engine.createState();
+  for (const match of matches) {
+    onPrediction(match, engine.expectedScore(state, match));
+    engine.update(state, match);
+  }
+  engine.finish(state);
+  return state;
+}
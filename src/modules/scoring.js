@@ -0,0 +1,102 @@
+/**
+ * Scoring - очки за матч по правилам сезона (итальянская система и её варианты)
+ * Shared by the frontend (calculateStandings) and the server (getSeasonRating)
+ */
+
+/**
+ * Правила по умолчанию: 3 — чистая победа, 2 — победа на балансе,
+ * 1 — поражение на балансе или ничья, 0 — чистое поражение.
+ * Балансом считается разница не больше balanceMargin очков (0 — баланса нет)
+ */
+export const DEFAULT_SCORING_RULES = {
+  win: 3,
+  balanceWin: 2,
+  balanceLoss: 1,
+  loss: 0,
+  draw: 1,
+  balanceMargin: 2
+};
+
+const POINT_FIELDS = ['win', 'balanceWin', 'balanceLoss', 'loss', 'draw'];
+
+/**
+ * Проверить правила начисления очков (все поля необязательны)
+ * @param {Object} rules - { win, balanceWin, balanceLoss, loss, draw, balanceMargin }
+ * @returns {string|null} Текст ошибки или null
+ */
+export function validateScoringRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return 'scoring_rules должен быть объектом';
+  }
+  const unknown = Object.keys(rules).filter(key => !(key in DEFAULT_SCORING_RULES));
+  if (unknown.length > 0) {
+    return `неизвестные поля scoring_rules: ${unknown.join(', ')}`;
+  }
+  for (const field of [...POINT_FIELDS, 'balanceMargin']) {
+    if (rules[field] !== undefined && !(Number.isInteger(rules[field]) && rules[field] >= 0)) {
+      return `scoring_rules.${field} должен быть неотрицательным целым числом`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Дополнить правила значениями по умолчанию
+ * @param {Object|null} rules - Правила сезона (могут быть неполными)
+ * @returns {Object} Полные правила
+ */
+export function normalizeScoringRules(rules) {
+  return { ...DEFAULT_SCORING_RULES, ...(rules || {}) };
+}
+
+/**
+ * Закончился ли матч «на балансе»
+ * @param {number} myScore - Мои очки
+ * @param {number} opponentScore - Очки соперника
+ * @param {Object} rules - Правила сезона
+ * @returns {boolean}
+ */
+export function isBalanceResult(myScore, opponentScore, rules = DEFAULT_SCORING_RULES) {
+  const diff = Math.abs(myScore - opponentScore);
+  return diff > 0 && diff <= normalizeScoringRules(rules).balanceMargin;
+}
+
+/**
+ * Очки за матч
+ * @param {number} myScore - Мои очки
+ * @param {number} opponentScore - Очки соперника
+ * @param {Object} rules - Правила сезона
+ * @returns {number} Очки
+ */
+export function getMatchPoints(myScore, opponentScore, rules = DEFAULT_SCORING_RULES) {
+  const { win, balanceWin, balanceLoss, loss, draw } = normalizeScoringRules(rules);
+  if (myScore === opponentScore) return draw;
+  const isBalanced = isBalanceResult(myScore, opponentScore, rules);
+
+  if (myScore > opponentScore) {
+    return isBalanced ? balanceWin : win;
+  } else {
+    return isBalanced ? balanceLoss : loss;
+  }
+}
+
+/**
+ * Строки описания правил для тултипа
+ * @param {Object} rules - Правила сезона
+ * @returns {string[]}
+ */
+export function describeScoringRules(rules = DEFAULT_SCORING_RULES) {
+  const { win, balanceWin, balanceLoss, loss, draw, balanceMargin } = normalizeScoringRules(rules);
+
+  if (balanceMargin === 0) {
+    return [`${win} — победа`, `${draw} — ничья`, `${loss} — поражение`];
+  }
+  const balance = balanceMargin === 1 ? 'разница = 1' : `разница ≤ ${balanceMargin}`;
+  return [
+    `${win} — чистая победа (разница > ${balanceMargin})`,
+    `${balanceWin} — победа на балансе (${balance})`,
+    `${draw} — ничья`,
+    `${balanceLoss} — поражение на балансе`,
+    `${loss} — чистое поражение`
+  ];
+}
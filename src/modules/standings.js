@@ -0,0 +1,184 @@
+/**
+ * Standings - таблица группы: очки по правилам сезона и цепочка тай-брейков
+ * Shared by the frontend (tournament page) and the server (посев в плей-офф)
+ */
+
+import { getMatchPoints, isBalanceResult } from './scoring.js';
+
+/** Доступные тай-брейки и их подписи */
+export const TIEBREAKERS = {
+  headToHead: 'личные встречи',
+  ballRatio: 'соотношение мячей',
+  ballsDiff: 'разница мячей',
+  ballsFor: 'забитые мячи',
+  organizer: 'решение организатора'
+};
+
+/** Цепочка по умолчанию */
+export const DEFAULT_TIEBREAKERS = ['headToHead', 'ballRatio', 'ballsFor', 'organizer'];
+
+/**
+ * Проверить цепочку тай-брейков сезона
+ * @param {Array<string>} tiebreakers - Ключи из TIEBREAKERS по порядку применения
+ * @returns {string|null} Текст ошибки или null
+ */
+export function validateTiebreakers(tiebreakers) {
+  if (!Array.isArray(tiebreakers)) return 'tiebreakers должен быть массивом';
+  const unknown = tiebreakers.filter(key => !(key in TIEBREAKERS));
+  if (unknown.length > 0) {
+    return `неизвестные тай-брейки: ${unknown.join(', ')} (допустимо: ${Object.keys(TIEBREAKERS).join(', ')})`;
+  }
+  if (new Set(tiebreakers).size !== tiebreakers.length) return 'тай-брейки не должны повторяться';
+  return null;
+}
+
+/**
+ * Значения критериев: чем больше, тем выше место
+ * @type {Object<string, function(Object, Set<string>, Object): number>}
+ */
+const CRITERIA = {
+  // Очки только в матчах, где соперником был кто-то из делящих место
+  headToHead: (player, tied) => player.matchDetails
+    .filter(m => m.opponents.some(name => tied.has(name)))
+    .reduce((sum, m) => sum + m.points, 0),
+  ballRatio: player => (player.ballsAgainst === 0 ? Infinity : player.ballsFor / player.ballsAgainst),
+  ballsDiff: player => player.ballsFor - player.ballsAgainst,
+  ballsFor: player => player.ballsFor,
+  // Порядок, заданный организатором для группы; не упомянутые — ниже упомянутых
+  organizer: (player, tied, { organizerOrder }) => {
+    const index = organizerOrder.indexOf(player.name);
+    return index === -1 ? -Infinity : -index;
+  }
+};
+
+/**
+ * Значение тай-брейка для подсказки
+ * @param {string} key - Ключ тай-брейка
+ * @param {number} value - Значение критерия
+ * @returns {string}
+ */
+function formatTiebreakValue(key, value) {
+  if (key === 'organizer') return value === -Infinity ? 'не указан' : `${-value + 1}-й в списке`;
+  if (key === 'ballRatio') return value === Infinity ? '∞' : value.toFixed(3);
+  return String(value);
+}
+
+/**
+ * Разбить делящих место игроков по цепочке тай-брейков.
+ * Когда критерий разделил игроков, оставшиеся равными подгруппы проходят
+ * цепочку заново (личные встречи считаются уже внутри подгруппы)
+ * @param {Array} tied - Игроки с равными очками
+ * @param {Array<string>} chain - Оставшиеся тай-брейки
+ * @param {Array<string>} fullChain - Вся цепочка
+ * @param {Object} context - { organizerOrder }
+ * @returns {Array} Игроки по порядку
+ */
+function breakTies(tied, chain, fullChain, context) {
+  if (tied.length < 2 || chain.length === 0) {
+    return [...tied].sort((a, b) => a.name.localeCompare(b.name, 'ru'));
+  }
+
+  const [key, ...rest] = chain;
+  const names = new Set(tied.map(p => p.name));
+  const values = new Map(tied.map(p => [p, CRITERIA[key](p, names, context)]));
+  const levels = [...new Set(values.values())].sort((a, b) => b - a);
+
+  if (levels.length === 1) {
+    return breakTies(tied, rest, fullChain, context);
+  }
+
+  return levels.flatMap(level => {
+    const subgroup = tied.filter(p => values.get(p) === level);
+    subgroup.forEach(p => {
+      p.tiebreaker = { key, label: TIEBREAKERS[key], value: formatTiebreakValue(key, level) };
+    });
+    return breakTies(subgroup, fullChain, fullChain, context);
+  });
+}
+
+/**
+ * Добавить матч в статистику игроков одной команды
+ * @param {Map} players - Статистика по имени игрока
+ * @param {Object} match - Матч
+ * @param {number} side - 0 — team1, 1 — team2
+ * @param {Object} rules - Правила начисления очков
+ */
+function addTeamResult(players, match, side, rules) {
+  const team = side === 0 ? match.team1 : match.team2;
+  const opponents = side === 0 ? match.team2 : match.team1;
+  const myScore = match.score[side];
+  const oppScore = match.score[1 - side];
+  const won = myScore > oppScore;
+  const draw = myScore === oppScore;
+  const points = getMatchPoints(myScore, oppScore, rules);
+
+  team.forEach(playerName => {
+    const p = players.get(playerName);
+    p.games++;
+    if (draw) p.draws++; else if (won) p.wins++; else p.losses++;
+    p.italianPoints += points;
+    p.ballsFor += myScore;
+    p.ballsAgainst += oppScore;
+    p.matchDetails.push({
+      id: match.id,
+      myScore,
+      oppScore,
+      won,
+      draw,
+      diff: Math.abs(myScore - oppScore),
+      balance: isBalanceResult(myScore, oppScore, rules),
+      points,
+      opponents
+    });
+  });
+}
+
+/**
+ * Таблица группы (итальянская система с правилами сезона)
+ * @param {Array} matches - Матчи группы в формате API ({ id, team1, team2, score, team1Genders, team2Genders })
+ * @param {Object} options - { rules, tiebreakers, organizerOrder }
+ *   rules — правила очков сезона, tiebreakers — цепочка тай-брейков,
+ *   organizerOrder — имена игроков в порядке, заданном организатором
+ * @returns {Array} Игроки по местам: place, italianPoints, ballsDiff, tiebreaker ({ key, label, value } или null)
+ */
+export function calculateStandings(matches, { rules, tiebreakers = DEFAULT_TIEBREAKERS, organizerOrder = [] } = {}) {
+  const players = new Map();
+
+  matches.forEach(match => {
+    // Пол приходит из API вместе с матчем
+    const genders = [...(match.team1Genders || []), ...(match.team2Genders || [])];
+    [...match.team1, ...match.team2].forEach((playerName, index) => {
+      if (!players.has(playerName)) {
+        players.set(playerName, {
+          name: playerName,
+          gender: genders[index] ?? null,
+          games: 0,
+          wins: 0,
+          draws: 0,
+          losses: 0,
+          italianPoints: 0,
+          ballsFor: 0,
+          ballsAgainst: 0,
+          matchDetails: [], // Детали каждого матча
+          tiebreaker: null
+        });
+      }
+    });
+
+    addTeamResult(players, match, 0, rules);
+    addTeamResult(players, match, 1, rules);
+  });
+
+  // Сначала по очкам, равные — по цепочке тай-брейков
+  const byPoints = new Map();
+  for (const p of players.values()) {
+    p.ballsDiff = p.ballsFor - p.ballsAgainst;
+    if (!byPoints.has(p.italianPoints)) byPoints.set(p.italianPoints, []);
+    byPoints.get(p.italianPoints).push(p);
+  }
+
+  return [...byPoints.keys()]
+    .sort((a, b) => b - a)
+    .flatMap(points => breakTies(byPoints.get(points), tiebreakers, tiebreakers, { organizerOrder }))
+    .map((p, index) => ({ ...p, place: index + 1 }));
+}
@@ -4,57 +4,23 @@
  */
 
 import { formatDate } from '../utils/helpers.js';
+import { PLAYOFF_ROUNDS } from './validator.js';
+import { describeScoringRules } from './scoring.js';
+import { calculateStandings, TIEBREAKERS, DEFAULT_TIEBREAKERS } from './standings.js';
 
 let tournamentData = null;
 let currentGenderFilter = 'all'; // 'all', 'male', 'female'
 
-// Женские имена (русские)
-const FEMALE_NAMES = new Set([
-  'Мария', 'Анастасия', 'Юлия', 'Светлана', 'Ольга', 'Анна', 'Наталья', 'Екатерина',
-  'Елена', 'Ирина', 'Татьяна', 'Дарья', 'Ксения', 'Евгения', 'Инна', 'Василиса',
-  'Жанна', 'Нина', 'Преображенская Ек.', 'Неизвестная Ксения'
-]);
-
-/**
- * Определяет пол игрока по имени
- * @param {string} fullName - Полное имя игрока
- * @returns {'male'|'female'} Пол игрока
- */
-function getGender(fullName) {
-  // Проверяем полное имя
-  if (FEMALE_NAMES.has(fullName)) return 'female';
-
-  // Проверяем имя (второе слово обычно)
-  const parts = fullName.split(' ');
-  const firstName = parts.length > 1 ? parts[1] : parts[0];
-
-  if (FEMALE_NAMES.has(firstName)) return 'female';
-
-  // Эвристика по окончанию имени
-  if (firstName.endsWith('а') || firstName.endsWith('я') || firstName.endsWith('ья')) {
-    // Исключения для мужских имён на -а/-я
-    const maleExceptions = ['Никита', 'Илья', 'Кирилл'];
-    if (!maleExceptions.includes(firstName)) return 'female';
-  }
-
-  return 'male';
-}
-
 /**
- * Рассчитывает очки по итальянской системе
- * @param {number} myScore - Мои очки
- * @param {number} opponentScore - Очки соперника
- * @returns {number} Очки (3/2/1/0)
+ * Значок пола игрока (пол хранится в БД и правится организатором)
+ * @param {'male'|'female'|null} gender - Пол игрока; null — неизвестен
+ * @returns {string} HTML
  */
-function getItalianPoints(myScore, opponentScore) {
-  const diff = Math.abs(myScore - opponentScore);
-  const isBalanced = diff === 2;
-
-  if (myScore > opponentScore) {
-    return isBalanced ? 2 : 3; // Победа на балансе или чистая
-  } else {
-    return isBalanced ? 1 : 0; // Поражение на балансе или чистое
-  }
+function renderGenderIcon(gender) {
+  const base = 'size-4 rounded-full text-[9px] font-bold flex items-center justify-center';
+  if (gender === 'female') return `<span class="${base} bg-pink-500/20 text-pink-400">Ж</span>`;
+  if (gender === 'male') return `<span class="${base} bg-blue-500/20 text-blue-400">М</span>`;
+  return `<span class="${base} bg-slate-500/20 text-slate-400" title="Пол не указан">?</span>`;
 }
 
 /**
@@ -118,13 +84,13 @@ function renderStageTooltip(stageData) {
   if (!stageData || stageData.matches.length === 0) return '';
 
   const rows = stageData.matches.map(m => {
-    const resultClass = m.won ? 'text-green-400' : 'text-red-400';
+    const resultClass = m.draw ? 'text-yellow-400' : m.won ? 'text-green-400' : 'text-red-400';
     const stageLabel = m.stage === 'playoff' ? '<span class="text-primary text-[9px]">ПО</span>' : '';
     return `
       <tr class="border-b border-white/10">
         <td class="px-1 py-0.5 text-slate-400 text-[9px]">${stageLabel}</td>
         <td class="px-1 py-0.5 text-[10px]">${m.vs}</td>
-        <td class="px-1 py-0.5 text-center ${resultClass}">${m.score}</td>
+        <td class="px-1 py-0.5 text-center ${resultClass}"${m.draw ? ' title="Ничья"' : ''}>${m.score}</td>
         <td class="px-1 py-0.5 text-center font-bold text-primary">${m.points}</td>
       </tr>
     `;
@@ -155,6 +121,33 @@ function renderStageTooltip(stageData) {
   `;
 }
 
+/**
+ * Ссылки для выгрузки рейтинга сезона
+ * @param {number} seasonId - ID сезона
+ * @returns {string} HTML
+ */
+function renderExportLinks(seasonId) {
+  return ['csv', 'xlsx'].map(format => `
+    <a href="/api/seasons/${seasonId}/rating.${format}" download
+      class="flex items-center gap-1 px-2 py-1 rounded-md bg-slate-800 hover:bg-slate-700 border border-white/5 text-xs text-slate-300 transition-colors">
+      <span class="material-symbols-outlined text-sm">download</span>${format.toUpperCase()}
+    </a>
+  `).join('');
+}
+
+/**
+ * Подсказка к столбцу этапа: название, дата, вес и участие в сумме
+ * @param {Object} stage - Этап из структуры сезона
+ * @returns {string}
+ */
+function getStageTitle(stage) {
+  const parts = [stage.name];
+  if (stage.date) parts.push(formatDate(stage.date));
+  if (stage.weight !== 1) parts.push(`очки ×${stage.weight}`);
+  if (!stage.counted) parts.push('не входит в сумму');
+  return parts.join(' • ');
+}
+
 /**
  * Рендерит сводную таблицу рейтинга
  */
@@ -167,31 +160,37 @@ function renderSeasonRating() {
     currentGenderFilter === 'all' || p.gender === currentGenderFilter
   );
 
-  // Заголовки столбцов (этапы)
+  // Заголовки столбцов (этапы из структуры сезона)
   const stageHeaders = seasonRatingData.stages.map(s => {
     const hasData = s.tournamentId !== null;
-    return `<th class="px-1 py-2 text-center min-w-[40px] ${hasData ? '' : 'text-slate-600'}">${s.stageNumber || 'Ф'}</th>`;
+    const weight = s.weight !== 1 ? `<span class="text-[9px] text-primary normal-case">×${s.weight}</span>` : '';
+    return `<th class="px-1 py-2 text-center min-w-[40px] ${hasData ? '' : 'text-slate-600'} ${s.counted ? '' : 'line-through'}" title="${getStageTitle(s)}">${s.short}${weight}</th>`;
   }).join('');
 
   // Строки игроков
+  // Правило «лучшие N этапов»: показываем и сумму всех этапов, и зачётную
+  const bestStages = seasonRatingData.season.best_stages ?? null;
+  const withGross = bestStages !== null;
+
   const playerRows = filteredPlayers.map((player, index) => {
-    const genderIcon = player.gender === 'female'
-      ? '<span class="size-4 rounded-full text-[9px] font-bold flex items-center justify-center bg-pink-500/20 text-pink-400">Ж</span>'
-      : '<span class="size-4 rounded-full text-[9px] font-bold flex items-center justify-center bg-blue-500/20 text-blue-400">М</span>';
+    const genderIcon = renderGenderIcon(player.gender);
 
     // Ячейки с очками по этапам
     const stageCells = seasonRatingData.stages.map(s => {
-      const stageKey = s.stageNumber || 'final';
-      const stageData = player.stages[stageKey];
+      const stageData = player.stages[s.key];
 
       if (!stageData) {
         return '<td class="px-1 py-1.5 text-center text-slate-700">—</td>';
       }
 
+      // Отброшенный правилом «лучшие N» или незачётный этап — приглушён, отброшенный ещё и зачёркнут
+      const pointsClass = stageData.discarded
+        ? 'text-slate-500 line-through'
+        : (s.counted ? 'text-slate-200' : 'text-slate-500');
       return `
         <td class="px-1 py-1.5 text-center">
-          <span class="stage-tooltip-trigger cursor-help relative inline-block">
-            <span class="font-medium text-slate-200 hover:text-primary transition-colors">${stageData.points}</span>
+          <span class="stage-tooltip-trigger cursor-help relative inline-block"${stageData.discarded ? ' title="Не входит в зачёт: худший результат"' : ''}>
+            <span class="font-medium ${pointsClass} hover:text-primary transition-colors">${stageData.points}</span>
             <span class="stage-tooltip">${renderStageTooltip(stageData)}</span>
           </span>
         </td>
@@ -208,7 +207,9 @@ function renderSeasonRating() {
           </span>
         </td>
         ${stageCells}
+        ${withGross ? `<td class="px-2 py-1.5 text-center text-slate-400">${player.grossTotal}</td>` : ''}
         <td class="px-2 py-1.5 text-center font-bold text-primary text-sm">${player.total}</td>
+        <td class="px-2 py-1.5 text-center font-bold text-accent-blue">${player.rating ?? '—'}</td>
       </tr>
     `;
   }).join('');
@@ -220,7 +221,10 @@ function renderSeasonRating() {
           <span class="material-symbols-outlined text-primary">leaderboard</span>
           <h3 class="font-bold text-sm">Рейтинг сезона: <span class="text-xs text-slate-300">${seasonRatingData.season.name}</span></h3>
         </div>
-        <span class="text-slate-400 text-sm">${filteredPlayers.length} игроков</span>
+        <div class="flex items-center gap-3">
+          ${renderExportLinks(seasonRatingData.season.id)}
+          <span class="text-slate-400 text-sm">${filteredPlayers.length} игроков</span>
+        </div>
       </div>
       <div class="overflow-x-auto">
         <table class="w-full text-xs">
@@ -229,7 +233,12 @@ function renderSeasonRating() {
               <th class="px-2 py-2 text-left w-8">#</th>
               <th class="px-2 py-2 text-left min-w-[160px]">Игрок</th>
               ${stageHeaders}
-              <th class="px-2 py-2 text-center min-w-[50px] text-primary">Σ</th>
+              ${withGross ? `<th class="px-2 py-2 text-center min-w-[50px]">${renderHeaderWithTooltip('Σ всех', 'Сумма всех этапов', 'Очки всех засчитываемых этапов,\\nвключая отброшенные')}</th>` : ''}
+              <th class="px-2 py-2 text-center min-w-[50px] text-primary">${renderHeaderWithTooltip('Σ', 'Очки сезона', [
+                ...describeScoringRules(seasonRatingData.season.scoring_rules),
+                ...(withGross ? [`В зачёт идут ${bestStages} лучших этапов`] : [])
+              ].join('\\n'))}</th>
+              <th class="px-2 py-2 text-center min-w-[50px] text-accent-blue">${renderHeaderWithTooltip('Elo', 'Сквозной рейтинг Elo', 'Текущий Elo по всем турнирам —\\nтот же, что на странице «Сквозной рейтинг»')}</th>
             </tr>
           </thead>
           <tbody>
@@ -340,94 +349,6 @@ function renderLeagueSection(league) {
   return section;
 }
 
-/**
- * Calculate standings for a group (Italian scoring system)
- * @param {Array} matches - Group matches
- * @returns {Array} Sorted standings
- */
-function calculateStandings(matches) {
-  const players = new Map();
-
-  matches.forEach(match => {
-    // Пропускаем ничьи
-    if (match.score[0] === match.score[1]) return;
-
-    const team1Won = match.score[0] > match.score[1];
-
-    // Обрабатываем каждого игрока
-    [...match.team1, ...match.team2].forEach(playerName => {
-      if (!players.has(playerName)) {
-        players.set(playerName, {
-          name: playerName,
-          gender: getGender(playerName),
-          games: 0,
-          wins: 0,
-          losses: 0,
-          italianPoints: 0,
-          ballsFor: 0,
-          ballsAgainst: 0,
-          matchDetails: [] // Детали каждого матча
-        });
-      }
-    });
-
-    // Team 1
-    match.team1.forEach(playerName => {
-      const p = players.get(playerName);
-      const myScore = match.score[0];
-      const oppScore = match.score[1];
-      const pts = getItalianPoints(myScore, oppScore);
-      p.games++;
-      if (team1Won) p.wins++; else p.losses++;
-      p.italianPoints += pts;
-      p.ballsFor += myScore;
-      p.ballsAgainst += oppScore;
-      p.matchDetails.push({
-        id: match.id,
-        myScore,
-        oppScore,
-        won: team1Won,
-        diff: Math.abs(myScore - oppScore),
-        points: pts
-      });
-    });
-
-    // Team 2
-    match.team2.forEach(playerName => {
-      const p = players.get(playerName);
-      const myScore = match.score[1];
-      const oppScore = match.score[0];
-      const pts = getItalianPoints(myScore, oppScore);
-      p.games++;
-      if (!team1Won) p.wins++; else p.losses++;
-      p.italianPoints += pts;
-      p.ballsFor += myScore;
-      p.ballsAgainst += oppScore;
-      p.matchDetails.push({
-        id: match.id,
-        myScore,
-        oppScore,
-        won: !team1Won,
-        diff: Math.abs(myScore - oppScore),
-        points: pts
-      });
-    });
-  });
-
-  // Конвертируем в массив, фильтруем по полу и сортируем
-  return Array.from(players.values())
-    .filter(p => currentGenderFilter === 'all' || p.gender === currentGenderFilter)
-    .map(p => ({
-      ...p,
-      ballsDiff: p.ballsFor - p.ballsAgainst
-    }))
-    .sort((a, b) => {
-      // Сначала по итальянским очкам, затем по разнице мячей
-      if (b.italianPoints !== a.italianPoints) return b.italianPoints - a.italianPoints;
-      return b.ballsDiff - a.ballsDiff;
-    });
-}
-
 /**
  * Рендерит тултип с детальной статистикой игрока
  * @param {Object} player - Данные игрока
@@ -435,9 +356,8 @@ function calculateStandings(matches) {
  */
 function renderPlayerTooltip(player) {
   const rows = player.matchDetails.map(m => {
-    const resultText = m.won ? 'Победа' : 'Поражение';
-    const resultClass = m.won ? 'text-green-400' : 'text-red-400';
-    const pointsText = m.diff === 2 ? (m.won ? '(на балансе)' : '(на балансе)') : (m.won ? '(чистая)' : '(чистое)');
+    const resultText = m.draw ? 'Ничья' : m.won ? 'Победа' : 'Поражение';
+    const resultClass = m.draw ? 'text-yellow-400' : m.won ? 'text-green-400' : 'text-red-400';
     return `
       <tr class="border-b border-white/10">
         <td class="px-1 py-0.5 text-slate-500">${m.id}</td>
@@ -468,12 +388,17 @@ function renderPlayerTooltip(player) {
         <tfoot>
           <tr class="font-bold text-white border-t border-white/30">
             <td class="px-1 py-1" colspan="2">Итого: ${player.games} игр</td>
-            <td class="px-1 py-1">${player.wins}В/${player.losses}П</td>
+            <td class="px-1 py-1">${player.wins}В/${player.draws ? `${player.draws}Н/` : ''}${player.losses}П</td>
             <td class="px-1 py-1 text-center">${player.ballsDiff > 0 ? '+' : ''}${player.ballsDiff}</td>
             <td class="px-1 py-1 text-center text-primary">${player.italianPoints}</td>
           </tr>
         </tfoot>
       </table>
+      ${player.tiebreaker ? `
+        <div class="mt-2 text-[10px] text-slate-400">
+          Место при равенстве очков: <span class="text-white">${player.tiebreaker.label}</span> (${player.tiebreaker.value})
+        </div>
+      ` : ''}
     </div>
   `;
 }
@@ -498,36 +423,44 @@ function renderGroupSection(group, leagueName) {
   container.appendChild(header);
 
   // Standings table
-  const standings = calculateStandings(group.matches);
+  // Места считаются по всей группе, фильтр по полу только скрывает строки
+  const rules = tournamentData.scoringRules;
+  const standings = calculateStandings(group.matches, {
+    rules,
+    tiebreakers: tournamentData.tiebreakers,
+    organizerOrder: group.tiebreak_order
+  }).filter(p => currentGenderFilter === 'all' || p.gender === currentGenderFilter);
   const tableContainer = document.createElement('div');
   tableContainer.innerHTML = `
     <table class="w-full text-xs">
       <thead>
         <tr class="text-slate-400 text-[10px] uppercase tracking-wider border-b border-white/5">
-          <th class="px-2 py-2 text-left w-6">#</th>
+          <th class="px-2 py-2 text-left w-6">${renderHeaderWithTooltip('#', 'Место', ['При равенстве очков:', ...(tournamentData.tiebreakers || DEFAULT_TIEBREAKERS).map((key, i) => `${i + 1}. ${TIEBREAKERS[key]}`)].join('\\n'))}</th>
           <th class="px-2 py-2 text-left">Игрок</th>
           <th class="px-1 py-2 text-center">${renderHeaderWithTooltip('И', 'Игры', 'Количество сыгранных матчей')}</th>
           <th class="px-1 py-2 text-center">${renderHeaderWithTooltip('В', 'Победы', 'Количество выигранных матчей')}</th>
+          <th class="px-1 py-2 text-center">${renderHeaderWithTooltip('Н', 'Ничьи', 'Количество матчей вничью')}</th>
           <th class="px-1 py-2 text-center">${renderHeaderWithTooltip('П', 'Поражения', 'Количество проигранных матчей')}</th>
-          <th class="px-1 py-2 text-center font-bold text-primary">${renderHeaderWithTooltip('Очки', 'Итальянская система', '3 — чистая победа (разница > 2)\\n2 — победа на балансе (разница = 2)\\n1 — поражение на балансе\\n0 — чистое поражение')}</th>
+          <th class="px-1 py-2 text-center font-bold text-primary">${renderHeaderWithTooltip('Очки', 'Итальянская система', describeScoringRules(rules).join('\\n'))}</th>
           <th class="px-1 py-2 text-center">${renderHeaderWithTooltip('М+', 'Мячи забитые', 'Сумма набранных очков')}</th>
           <th class="px-1 py-2 text-center">${renderHeaderWithTooltip('М-', 'Мячи пропущенные', 'Сумма пропущенных очков')}</th>
           <th class="px-1 py-2 text-center">${renderHeaderWithTooltip('±', 'Разница', 'М+ минус М-')}</th>
         </tr>
       </thead>
       <tbody class="divide-y divide-white/5">
-        ${standings.map((p, i) => `
+        ${standings.map(p => `
           <tr class="hover:bg-white/5">
-            <td class="px-2 py-1.5 text-slate-500 font-bold">${i + 1}</td>
+            <td class="px-2 py-1.5 text-slate-500 font-bold">${p.place}</td>
             <td class="px-2 py-1.5 font-medium">
               <span class="player-tooltip-trigger inline-flex items-center gap-1 cursor-help relative">
-                <span class="size-4 rounded-full text-[9px] font-bold flex items-center justify-center ${p.gender === 'female' ? 'bg-pink-500/20 text-pink-400' : 'bg-blue-500/20 text-blue-400'}">${p.gender === 'female' ? 'Ж' : 'М'}</span>
+                ${renderGenderIcon(p.gender)}
                 <span class="truncate hover:text-primary transition-colors">${p.name}</span>
                 <span class="player-tooltip">${renderPlayerTooltip(p)}</span>
               </span>
             </td>
             <td class="px-1 py-1.5 text-center">${p.games}</td>
             <td class="px-1 py-1.5 text-center text-green-400">${p.wins}</td>
+            <td class="px-1 py-1.5 text-center text-yellow-400">${p.draws}</td>
             <td class="px-1 py-1.5 text-center text-red-400">${p.losses}</td>
             <td class="px-1 py-1.5 text-center font-bold text-primary text-sm">${p.italianPoints}</td>
             <td class="px-1 py-1.5 text-center text-slate-300">${p.ballsFor}</td>
@@ -558,18 +491,22 @@ function renderGroupSection(group, leagueName) {
       ${group.matches.map(match => {
         const isDraw = match.score[0] === match.score[1];
         const team1Won = match.score[0] > match.score[1];
+        const team2Won = match.score[1] > match.score[0];
         return `
           <div class="flex items-center gap-3 py-2 px-3 rounded-lg bg-slate-900/30 text-sm">
             <span class="text-slate-500 w-8">#${match.id}</span>
-            <div class="flex-1 flex items-center gap-2 ${team1Won && !isDraw ? 'text-white font-medium' : 'text-slate-400'}">
+            <div class="flex-1 flex items-center gap-2 ${team1Won ? 'text-white font-medium' : 'text-slate-400'}">
               <span class="truncate">${match.team1.join(' + ')}</span>
             </div>
-            <div class="flex items-center gap-1 font-bold tabular-nums">
-              <span class="${team1Won ? 'text-green-400' : isDraw ? 'text-yellow-400' : 'text-slate-400'}">${match.score[0]}</span>
-              <span class="text-slate-600">:</span>
-              <span class="${!team1Won ? 'text-green-400' : isDraw ? 'text-yellow-400' : 'text-slate-400'}">${match.score[1]}</span>
+            <div class="flex flex-col items-center">
+              <div class="flex items-center gap-1 font-bold tabular-nums">
+                <span class="${team1Won ? 'text-green-400' : isDraw ? 'text-yellow-400' : 'text-slate-400'}">${match.score[0]}</span>
+                <span class="text-slate-600">:</span>
+                <span class="${team2Won ? 'text-green-400' : isDraw ? 'text-yellow-400' : 'text-slate-400'}">${match.score[1]}</span>
+              </div>
+              ${isDraw ? '<span class="text-[10px] text-yellow-400">Ничья</span>' : ''}
             </div>
-            <div class="flex-1 flex items-center gap-2 justify-end ${!team1Won && !isDraw ? 'text-white font-medium' : 'text-slate-400'}">
+            <div class="flex-1 flex items-center gap-2 justify-end ${team2Won ? 'text-white font-medium' : 'text-slate-400'}">
               <span class="truncate text-right">${match.team2.join(' + ')}</span>
             </div>
           </div>
@@ -610,7 +547,7 @@ function renderPlayoffSection(playoff, leagueName) {
 
   // Группируем матчи по раундам
   const rounds = new Map();
-  const roundOrder = ['1/8', '1/4', '1/2', 'semifinal', '3rd_place', 'final'];
+  const roundOrder = PLAYOFF_ROUNDS;
   const roundNames = {
     '1/8': '1/8 финала',
     '1/4': 'Четвертьфинал',
@@ -712,17 +649,21 @@ function renderBracketMatch(match) {
   const el = document.createElement('div');
   el.className = 'w-64 glass-panel rounded-lg overflow-hidden';
 
+  const isDraw = match.score[0] === match.score[1];
   const team1Won = match.score[0] > match.score[1];
+  const team2Won = match.score[1] > match.score[0];
+  const scoreClass = won => (won ? 'text-green-400' : isDraw ? 'text-yellow-400' : 'text-slate-500');
 
   el.innerHTML = `
     <div class="flex items-center justify-between px-3 py-2 ${team1Won ? 'bg-green-500/10' : 'bg-slate-900/50'} border-b border-white/5">
       <span class="text-sm truncate ${team1Won ? 'font-bold text-white' : 'text-slate-400'}">${match.team1.join(' + ')}</span>
-      <span class="font-bold ${team1Won ? 'text-green-400' : 'text-slate-500'}">${match.score[0]}</span>
+      <span class="font-bold ${scoreClass(team1Won)}">${match.score[0]}</span>
     </div>
-    <div class="flex items-center justify-between px-3 py-2 ${!team1Won ? 'bg-green-500/10' : 'bg-slate-900/50'}">
-      <span class="text-sm truncate ${!team1Won ? 'font-bold text-white' : 'text-slate-400'}">${match.team2.join(' + ')}</span>
-      <span class="font-bold ${!team1Won ? 'text-green-400' : 'text-slate-500'}">${match.score[1]}</span>
+    <div class="flex items-center justify-between px-3 py-2 ${team2Won ? 'bg-green-500/10' : 'bg-slate-900/50'}">
+      <span class="text-sm truncate ${team2Won ? 'font-bold text-white' : 'text-slate-400'}">${match.team2.join(' + ')}</span>
+      <span class="font-bold ${scoreClass(team2Won)}">${match.score[1]}</span>
     </div>
+    ${isDraw ? '<div class="px-3 py-1 text-center text-[10px] text-yellow-400 bg-slate-900/50 border-t border-white/5">Ничья</div>' : ''}
   `;
 
   return el;
@@ -739,7 +680,9 @@ function renderFinalMatch(match, title, isGold) {
   const el = document.createElement('div');
   el.className = `glass-panel rounded-xl overflow-hidden ${isGold ? 'ring-2 ring-primary/50' : ''}`;
 
+  const isDraw = match.score[0] === match.score[1];
   const team1Won = match.score[0] > match.score[1];
+  const team2Won = match.score[1] > match.score[0];
   const medalIcon = isGold ? 'workspace_premium' : 'military_tech';
   const medalClass = isGold ? 'medal-gold' : 'medal-bronze';
 
@@ -754,15 +697,16 @@ function renderFinalMatch(match, title, isGold) {
           ${team1Won ? `<span class="material-symbols-outlined ${medalClass} text-xl">${medalIcon}</span>` : ''}
           <span class="${team1Won ? 'font-bold text-lg' : 'text-slate-400'}">${match.team1.join(' + ')}</span>
         </div>
-        <span class="text-2xl font-bold ${team1Won ? 'text-green-400' : 'text-slate-500'}">${match.score[0]}</span>
+        <span class="text-2xl font-bold ${team1Won ? 'text-green-400' : isDraw ? 'text-yellow-400' : 'text-slate-500'}">${match.score[0]}</span>
       </div>
       <div class="flex items-center justify-between">
         <div class="flex items-center gap-3">
-          ${!team1Won ? `<span class="material-symbols-outlined ${medalClass} text-xl">${medalIcon}</span>` : ''}
-          <span class="${!team1Won ? 'font-bold text-lg' : 'text-slate-400'}">${match.team2.join(' + ')}</span>
+          ${team2Won ? `<span class="material-symbols-outlined ${medalClass} text-xl">${medalIcon}</span>` : ''}
+          <span class="${team2Won ? 'font-bold text-lg' : 'text-slate-400'}">${match.team2.join(' + ')}</span>
         </div>
-        <span class="text-2xl font-bold ${!team1Won ? 'text-green-400' : 'text-slate-500'}">${match.score[1]}</span>
+        <span class="text-2xl font-bold ${team2Won ? 'text-green-400' : isDraw ? 'text-yellow-400' : 'text-slate-500'}">${match.score[1]}</span>
       </div>
+      ${isDraw ? '<div class="mt-3 text-center text-xs text-yellow-400">Ничья</div>' : ''}
     </div>
   `;
 
@@ -5,9 +5,11 @@
 
 import { getPlayerMatches, getMatchDetails, calculateStats } from './dataManager.js';
 import { renderChart } from './chart.js';
+import { getKFactor, DEFAULT_ELO_PARAMS } from './elo.js';
 import { formatDate, formatRatingChange } from '../utils/helpers.js';
 
 let currentData = null;
+let currentEngine = 'elo'; // 'elo' или 'glicko2'
 let filteredPlayers = [];
 let currentPage = 1;
 const ITEMS_PER_PAGE = 15;
@@ -21,11 +23,73 @@ export function initUI(data) {
   filteredPlayers = [...data.players];
 
   renderStats(data.players, data.matches);
+  renderRatingConfig();
   renderRatingTable();
   setupModalHandlers();
   setupSearchAndFilters();
 }
 
+/**
+ * Replace data (e.g. rating as of another stage or another engine) and re-render the table
+ * @param {Object} data - Processed data with players and matches
+ * @param {string} engine - 'elo' или 'glicko2'
+ */
+export function updateRatingData(data, engine = 'elo') {
+  currentData = data;
+  currentPage = 1;
+  setEngine(engine);
+
+  renderStats(data.players, data.matches);
+  renderRatingConfig();
+  applyFilters();
+}
+
+/**
+ * Действующие параметры Elo (настройки сезона с API; у Glicko-2 их нет)
+ * @returns {Object} { initialRating, kFactorNew, kFactorRegular, kFactorElite, calibrationGames, eliteRating, marginOfVictory }
+ */
+function getRatingConfig() {
+  return { ...DEFAULT_ELO_PARAMS, ...currentData?.ratingConfig };
+}
+
+/**
+ * Подставить действующие параметры Elo в подсказку заголовка таблицы
+ */
+function renderRatingConfig() {
+  if (!currentData.ratingConfig) return;
+  const {
+    initialRating, kFactorNew, kFactorRegular, kFactorElite, calibrationGames, eliteRating, marginOfVictory
+  } = getRatingConfig();
+
+  document.getElementById('elo-initial-rating').textContent = initialRating;
+  document.getElementById('elo-k-factors').textContent =
+    `${kFactorNew} (первые ${calibrationGames} игр) → ${kFactorRegular}, с рейтинга ${eliteRating} — ${kFactorElite}`;
+  // С учётом разницы счёта изменение умножается на M (см. calculateMarginMultiplier)
+  document.getElementById('elo-formula').textContent = marginOfVictory ? 'ΔR = K × M × (S − E)' : 'ΔR = K × (S − E)';
+  document.getElementById('elo-margin-note').classList.toggle('hidden', !marginOfVictory);
+}
+
+/**
+ * Переключить подписи и подсказки между Elo и Glicko-2
+ * @param {string} engine - 'elo' или 'glicko2'
+ */
+function setEngine(engine) {
+  currentEngine = engine;
+  document.querySelectorAll('[data-engine]').forEach(el => {
+    el.classList.toggle('hidden', el.dataset.engine !== engine);
+  });
+}
+
+/**
+ * Get player name by ID
+ * @param {number|string} playerId - Player ID
+ * @returns {string} Player name (or ID if the player is unknown)
+ */
+function getPlayerName(playerId) {
+  const player = currentData?.players.find(p => p.id === playerId);
+  return player ? player.name : String(playerId);
+}
+
 /**
  * Render statistics cards
  */
@@ -124,19 +188,34 @@ function getTrendHtml(change) {
 }
 
 /**
- * Calculate win rate for a player
+ * Get rank movement HTML (places since the previous stage)
+ */
+function getRankMovementHtml(player) {
+  if (player.isNew) {
+    return '<span class="px-1.5 py-0.5 bg-accent-blue/20 text-accent-blue rounded text-[10px] font-bold">НОВЫЙ</span>';
+  }
+  if (!player.rankChange) {
+    return '<span class="text-[11px] text-slate-500">= место</span>';
+  }
+  const isUp = player.rankChange > 0;
+  return `<span class="inline-flex items-center text-[11px] font-bold ${isUp ? 'text-green-400' : 'text-red-400'}">
+    <span class="material-symbols-outlined text-[14px]">${isUp ? 'arrow_upward' : 'arrow_downward'}</span>${Math.abs(player.rankChange)}
+  </span>`;
+}
+
+/**
+ * Calculate win rate for a player (a draw counts as half a win, as in Elo)
  */
 function calculateWinRate(playerId) {
-  if (!currentData) return { wins: 0, total: 0, rate: 0 };
+  if (!currentData) return { wins: 0, draws: 0, total: 0, rate: 0 };
 
   const playerMatches = getPlayerMatches(currentData.matches, playerId);
-  const wins = playerMatches.filter(m => {
-    const details = getMatchDetails(m, playerId);
-    return details.playerWon;
-  }).length;
+  const results = playerMatches.map(m => getMatchDetails(m, playerId));
+  const wins = results.filter(details => details.playerWon).length;
+  const draws = results.filter(details => details.isDraw).length;
 
-  const rate = playerMatches.length > 0 ? Math.round((wins / playerMatches.length) * 100) : 0;
-  return { wins, total: playerMatches.length, rate };
+  const rate = playerMatches.length > 0 ? Math.round(((wins + draws / 2) / playerMatches.length) * 100) : 0;
+  return { wins, draws, total: playerMatches.length, rate };
 }
 
 /**
@@ -190,6 +269,7 @@ function renderRatingTable() {
       </td>
       <td class="px-6 py-5 text-center">
         <span class="text-accent-blue font-bold text-2xl tracking-tighter">${player.currentRating.toLocaleString('ru-RU')}</span>
+        ${currentEngine === 'glicko2' ? `<div class="text-[11px] text-slate-500" title="Отклонение рейтинга (RD) и волатильность">±${player.rd} · σ ${player.volatility.toFixed(3)}</div>` : ''}
       </td>
       <td class="px-6 py-5 text-center font-medium">${player.gamesPlayed}</td>
       <td class="px-6 py-5 text-center">
@@ -199,7 +279,8 @@ function renderRatingTable() {
         <span class="text-sm font-bold ${winStats.rate >= 50 ? 'text-green-400' : 'text-slate-400'}">${winStats.rate}%</span>
       </td>
       <td class="px-6 py-5 text-center">
-        ${getTrendHtml(player.lastChange)}
+        ${getTrendHtml(player.stageChange ?? player.lastChange)}
+        ${player.rankChange !== undefined ? `<div class="mt-1 text-center">${getRankMovementHtml(player)}</div>` : ''}
       </td>
     `;
 
@@ -318,6 +399,8 @@ function openPlayerModal(playerId) {
 
   const playerMatches = getPlayerMatches(currentData.matches, playerId);
   const winStats = calculateWinRate(playerId);
+  const ratingConfig = getRatingConfig();
+  const kFactor = getKFactor(player.gamesPlayed, player.currentRating, ratingConfig);
 
   const content = document.getElementById('modal-content');
 
@@ -337,9 +420,15 @@ function openPlayerModal(playerId) {
             <span class="tooltip-trigger">
               <span class="material-symbols-outlined text-[12px] text-slate-500">help</span>
               <div class="tooltip-content normal-case tracking-normal font-normal" style="width: 260px; left: 0; transform: none;">
-                <div class="tooltip-title">Elo Рейтинг</div>
-                <p class="tooltip-text">Начальный: 1500. Растёт при победах над сильными соперниками, падает при поражениях.</p>
-                <p class="tooltip-note">${!player.isCalibrated ? 'Игрок на калибровке (K=40)' : 'Калибровка завершена (K=32)'}</p>
+                ${currentEngine === 'glicko2' ? `
+                  <div class="tooltip-title">Glicko-2</div>
+                  <p class="tooltip-text">Рейтинг ±${player.rd} (RD — точность оценки), волатильность ${player.volatility.toFixed(4)}. RD растёт в пропущенные игровые дни.</p>
+                  <p class="tooltip-note">${!player.isCalibrated ? 'Рейтинг предварительный (RD > 110)' : 'Рейтинг установился (RD ≤ 110)'}</p>
+                ` : `
+                  <div class="tooltip-title">Elo Рейтинг</div>
+                  <p class="tooltip-text">Начальный: ${ratingConfig.initialRating}. Растёт при победах над сильными соперниками, падает при поражениях.</p>
+                  <p class="tooltip-note">${!player.isCalibrated ? `Игрок на калибровке (K=${kFactor}, первые ${ratingConfig.calibrationGames} игр)` : `Калибровка завершена (K=${kFactor})`}</p>
+                `}
               </div>
             </span>
           </div>
@@ -360,8 +449,8 @@ function openPlayerModal(playerId) {
               <span class="material-symbols-outlined text-[12px] text-slate-500">help</span>
               <div class="tooltip-content normal-case tracking-normal font-normal" style="width: 220px; right: 0; left: auto; transform: none;">
                 <div class="tooltip-title">Процент побед</div>
-                <p class="tooltip-text">${winStats.wins} из ${winStats.total} матчей выиграно</p>
-                <div class="tooltip-formula text-center">${winStats.wins} ÷ ${winStats.total} = ${winStats.rate}%</div>
+                <p class="tooltip-text">${winStats.wins} из ${winStats.total} матчей выиграно${winStats.draws > 0 ? `, ${winStats.draws} вничью (ничья — половина победы)` : ''}</p>
+                <div class="tooltip-formula text-center">${winStats.draws > 0 ? `(${winStats.wins} + ${winStats.draws} × 0.5)` : winStats.wins} ÷ ${winStats.total} = ${winStats.rate}%</div>
               </div>
             </span>
           </div>
@@ -372,7 +461,7 @@ function openPlayerModal(playerId) {
     <div class="mb-8">
       <h3 class="text-lg font-bold mb-4 flex items-center gap-2">
         <span class="material-symbols-outlined text-primary">show_chart</span>
-        История рейтинга
+        История рейтинга${currentEngine === 'glicko2' ? ' <span class="text-sm font-normal text-slate-400">по игровым дням</span>' : ''}
       </h3>
       <div class="bg-slate-800/50 rounded-xl p-4 h-[200px]" id="rating-chart"></div>
     </div>
@@ -394,11 +483,12 @@ function openPlayerModal(playerId) {
   const ratingByMatch = new Map();
   player.ratingHistory.forEach((entry, index) => {
     if (entry.matchId) {
-      const prevRating = index > 0 ? player.ratingHistory[index - 1].rating : 1500;
+      const prevRating = player.ratingHistory[index - 1].rating;
       ratingByMatch.set(entry.matchId, {
         before: prevRating,
         after: entry.rating,
-        change: entry.change
+        change: entry.change,
+        marginChange: entry.marginChange || 0
       });
     }
   });
@@ -408,7 +498,7 @@ function openPlayerModal(playerId) {
   } else {
     recentMatches.forEach(match => {
       const details = getMatchDetails(match, playerId);
-      const ratingInfo = ratingByMatch.get(match.id) || { before: '?', after: '?', change: details.ratingChange };
+      const ratingInfo = ratingByMatch.get(match.id) || { before: '?', after: '?', change: details.ratingChange, marginChange: 0 };
       const matchItem = document.createElement('div');
       matchItem.className = 'bg-slate-800/50 rounded-xl p-4 flex flex-col sm:flex-row sm:items-center gap-3';
 
@@ -420,23 +510,29 @@ function openPlayerModal(playerId) {
         <div class="flex-1 min-w-0">
           <div class="flex items-center gap-2 ${details.playerWon ? 'text-white' : 'text-slate-400'}">
             <span class="font-bold">${details.playerScore}</span>
-            <span class="truncate">${player.name} + ${details.partner}</span>
+            <span class="truncate">${player.name} + ${getPlayerName(details.partner)}</span>
             ${details.playerWon ? '<span class="material-symbols-outlined text-green-400 text-sm">check_circle</span>' : ''}
           </div>
-          <div class="flex items-center gap-2 ${!details.playerWon ? 'text-white' : 'text-slate-400'}">
+          <div class="flex items-center gap-2 ${!details.playerWon && !details.isDraw ? 'text-white' : 'text-slate-400'}">
             <span class="font-bold">${details.opponentScore}</span>
-            <span class="truncate">${details.opponents.join(' + ')}</span>
-            ${!details.playerWon ? '<span class="material-symbols-outlined text-green-400 text-sm">check_circle</span>' : ''}
+            <span class="truncate">${details.opponents.map(getPlayerName).join(' + ')}</span>
+            ${!details.playerWon && !details.isDraw ? '<span class="material-symbols-outlined text-green-400 text-sm">check_circle</span>' : ''}
           </div>
+          ${details.isDraw ? '<div class="text-xs text-yellow-400 mt-1">Ничья</div>' : ''}
         </div>
-        <div class="text-right">
+        ${details.ratingChange === null ? '' : `<div class="text-right">
           <div class="font-bold text-lg ${details.ratingChange >= 0 ? 'text-green-400' : 'text-red-400'}">
             ${formatRatingChange(details.ratingChange)}
           </div>
           <div class="text-[11px] text-slate-500">
             ${ratingInfo.before} → ${ratingInfo.after}
           </div>
-        </div>
+          ${ratingInfo.marginChange !== 0 ? `
+            <div class="text-[11px] text-slate-500" title="Часть изменения, добавленная множителем разницы счёта">
+              за разницу счёта: ${formatRatingChange(ratingInfo.marginChange)}
+            </div>
+          ` : ''}
+        </div>`}
       `;
 
       matchList.appendChild(matchItem);
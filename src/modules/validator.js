@@ -0,0 +1,174 @@
+/**
+ * Validator - checks raw tournament JSON (data/raw format) before it is used
+ * Shared by the frontend (parseRawTournamentData) and the server importer
+ */
+
+/** Раунды плей-офф в порядке проведения */
+export const PLAYOFF_ROUNDS = ['1/8', '1/4', '1/2', 'semifinal', '3rd_place', 'final'];
+
+/** Уровень раунда: раунды одного уровня могут идти в любом порядке */
+const ROUND_LEVELS = { '1/8': 0, '1/4': 1, '1/2': 2, 'semifinal': 2, '3rd_place': 3, 'final': 3 };
+
+/** До скольких очков играются партии */
+export const GAME_TARGETS = [15, 21];
+
+/**
+ * Может ли партия закончиться таким счётом: победитель набрал target
+ * с отрывом от 2 очков либо выиграл «на балансе» ровно в 2 очка
+ * @param {number} winner - Очки победителя
+ * @param {number} loser - Очки проигравшего
+ * @returns {boolean}
+ */
+function isFinishedGame(winner, loser) {
+  return GAME_TARGETS.some(target =>
+    (winner === target && loser <= target - 2) ||
+    (winner > target && winner - loser === 2)
+  );
+}
+
+/**
+ * Проверить один матч
+ * @param {Object} match - Матч в формате сырого JSON
+ * @param {boolean} isPlayoff - Матч плей-офф (нужен корректный round)
+ * @returns {Array<{severity: 'error'|'warning', message: string}>} Найденные проблемы
+ */
+export function validateMatch(match, isPlayoff = false) {
+  const issues = [];
+  const error = message => issues.push({ severity: 'error', message });
+  const warning = message => issues.push({ severity: 'warning', message });
+
+  const isName = name => typeof name === 'string' && name.trim() !== '';
+  const teams = [match.team1, match.team2];
+  const validTeams = teams.every(team => Array.isArray(team) && team.length === 2 && team.every(isName));
+
+  if (!validTeams) {
+    error('в каждой команде должно быть два игрока');
+  } else {
+    const players = [...match.team1, ...match.team2].map(name => name.trim());
+    const duplicates = players.filter((name, i) => players.indexOf(name) !== i);
+    [...new Set(duplicates)].forEach(name => error(`игрок «${name}» указан в матче дважды`));
+
+    if (isName(match.referee) && players.includes(match.referee.trim())) {
+      error(`судья «${match.referee.trim()}» играет в этом же матче`);
+    }
+  }
+
+  const validScore = Array.isArray(match.score) && match.score.length === 2 &&
+    match.score.every(n => Number.isInteger(n) && n >= 0);
+  if (!validScore) {
+    error('счёт должен состоять из двух неотрицательных целых чисел');
+  } else {
+    const [score1, score2] = match.score;
+    if (score1 === score2) {
+      warning(`ничья ${score1}:${score2}`);
+    } else if (!isFinishedGame(Math.max(score1, score2), Math.min(score1, score2))) {
+      warning(`партия не могла закончиться со счётом ${score1}:${score2} (игра до ${GAME_TARGETS.join(' или ')} с разницей в 2 очка)`);
+    }
+  }
+
+  if (isPlayoff && !PLAYOFF_ROUNDS.includes(match.round)) {
+    error(`неизвестный раунд плей-офф «${match.round ?? ''}» (допустимо: ${PLAYOFF_ROUNDS.join(', ')})`);
+  }
+
+  return issues;
+}
+
+/**
+ * Проверить матчи группы: каждый матч и уникальность номеров
+ * @param {Array} matches - Матчи группы
+ * @param {string} location - «Лига / группа» для сообщений
+ * @param {boolean} isPlayoff - Группа плей-офф
+ * @returns {Array} Проблемы с указанием места
+ */
+function validateGroup(matches, location, isPlayoff) {
+  const issues = [];
+  const seenIds = new Set();
+
+  matches.forEach((match, index) => {
+    const matchLocation = `${location} / матч №${match.id ?? `? (${index + 1}-й по порядку)`}`;
+
+    if (match.id != null) {
+      if (seenIds.has(match.id)) {
+        issues.push({ severity: 'error', location: matchLocation, message: `номер матча ${match.id} повторяется в группе` });
+      }
+      seenIds.add(match.id);
+    }
+
+    validateMatch(match, isPlayoff).forEach(issue => issues.push({ ...issue, location: matchLocation }));
+  });
+
+  if (isPlayoff) {
+    issues.push(...validateRoundOrder(matches, location));
+  }
+
+  return issues;
+}
+
+/**
+ * Проверить, что раунды плей-офф идут по порядку номеров матчей
+ * (от этого порядка зависит хронология пересчёта Elo)
+ * @param {Array} matches - Матчи плей-офф
+ * @param {string} location - «Лига / плей-офф» для сообщений
+ * @returns {Array} Проблемы с указанием места
+ */
+function validateRoundOrder(matches, location) {
+  const issues = [];
+  const ordered = matches
+    .filter(m => Number.isInteger(m.id) && m.round in ROUND_LEVELS)
+    .sort((a, b) => a.id - b.id);
+
+  for (let i = 1; i < ordered.length; i++) {
+    const previous = ordered[i - 1];
+    const match = ordered[i];
+    if (ROUND_LEVELS[match.round] < ROUND_LEVELS[previous.round]) {
+      issues.push({
+        severity: 'error',
+        location: `${location} / матч №${match.id}`,
+        message: `раунд «${match.round}» идёт после «${previous.round}» (матч №${previous.id})`
+      });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Проверить файл турнира целиком
+ * @param {Object} rawData - Турнир в формате сырого JSON ({ tournament, date, leagues })
+ * @returns {{valid: boolean, errors: Array, warnings: Array}} valid — ошибок нет (предупреждения допустимы)
+ */
+export function validateTournamentData(rawData) {
+  const issues = [];
+
+  if (!rawData || !Array.isArray(rawData.leagues)) {
+    issues.push({ severity: 'error', location: 'турнир', message: 'нет списка лиг (leagues)' });
+  } else {
+    if (rawData.date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(rawData.date)) {
+      issues.push({ severity: 'error', location: 'турнир', message: 'дата должна быть в формате YYYY-MM-DD' });
+    }
+
+    rawData.leagues.forEach((league, index) => {
+      const leagueName = league.name || `лига ${index + 1}`;
+
+      (league.groups || []).forEach(group => {
+        issues.push(...validateGroup(group.matches || [], `${leagueName} / группа ${group.name}`, group.stage === 'playoff'));
+      });
+
+      if (league.playoff) {
+        issues.push(...validateGroup(league.playoff.matches || [], `${leagueName} / плей-офф`, true));
+      }
+    });
+  }
+
+  const errors = issues.filter(issue => issue.severity === 'error');
+  const warnings = issues.filter(issue => issue.severity === 'warning');
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Текст проблемы для вывода
+ * @param {Object} issue - { location, message }
+ * @returns {string}
+ */
+export function formatIssue(issue) {
+  return `${issue.location}: ${issue.message}`;
+}
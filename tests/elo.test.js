@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_ELO_PARAMS, DRAW, calculateExpectedScore, getKFactor, getWinner,
+  calculateMarginMultiplier, processMatch, createEloEngine, processAllMatches
+} from '../src/modules/elo.js';
+
+// Матч в формате processAllMatches
+function match(id, team1, team2, score, extra = {}) {
+  return { id, date: '2025-01-25', team1, team2, score, winner: getWinner(score), ...extra };
+}
+
+test('ожидаемый результат: равные рейтинги — 0.5, +400 — 10 к 1', () => {
+  assert.equal(calculateExpectedScore(1500, 1500), 0.5);
+  assert.ok(Math.abs(calculateExpectedScore(1900, 1500) - 10 / 11) < 1e-9);
+});
+
+test('K-фактор берётся из параметров: новичок, обычный, элитный', () => {
+  assert.equal(getKFactor(0, 1500), DEFAULT_ELO_PARAMS.kFactorNew);
+  assert.equal(getKFactor(30, 1500), DEFAULT_ELO_PARAMS.kFactorRegular);
+  assert.equal(getKFactor(30, 2400), DEFAULT_ELO_PARAMS.kFactorElite);
+
+  const params = { ...DEFAULT_ELO_PARAMS, kFactorNew: 50, calibrationGames: 5, eliteRating: 1800 };
+  assert.equal(getKFactor(4, 1500, params), 50);
+  assert.equal(getKFactor(5, 1500, params), params.kFactorRegular);
+  assert.equal(getKFactor(5, 1800, params), params.kFactorElite);
+});
+
+test('ничья равных команд не меняет рейтинг, ничья со слабыми — теряет фаворит', () => {
+  assert.equal(getWinner([15, 15]), DRAW);
+
+  const equal = processMatch(match(1, ['a', 'b'], ['c', 'd'], [15, 15]), new Map(), new Map());
+  assert.deepEqual(Object.values(equal), [0, 0, 0, 0]);
+
+  const ratings = new Map([['a', 1700], ['b', 1700]]);
+  const uneven = processMatch(match(2, ['a', 'b'], ['c', 'd'], [15, 15]), ratings, new Map());
+  assert.ok(uneven.a < 0 && uneven.b < 0);
+  assert.ok(uneven.c > 0 && uneven.d > 0);
+});
+
+test('победа равных новичков: ±K/2', () => {
+  const changes = processMatch(match(1, ['a', 'b'], ['c', 'd'], [15, 5]), new Map(), new Map());
+  assert.deepEqual(changes, { a: 20, b: 20, c: -20, d: -20 });
+});
+
+test('множитель разницы счёта растёт с разницей и гасится при победе фаворита', () => {
+  assert.equal(calculateMarginMultiplier(0, 0), 0);
+  assert.ok(Math.abs(calculateMarginMultiplier(10, 0) - Math.log(11)) < 1e-9);
+  assert.ok(calculateMarginMultiplier(10, 200) < calculateMarginMultiplier(10, 0));
+  assert.ok(calculateMarginMultiplier(10, -200) > calculateMarginMultiplier(10, 0));
+
+  const withMargin = processMatch(
+    match(1, ['a', 'b'], ['c', 'd'], [15, 5], { marginOfVictory: true }), new Map(), new Map()
+  );
+  assert.equal(withMargin.a, Math.round(40 * Math.log(11) * 0.5));
+  assert.equal(withMargin.c, -withMargin.a);
+
+  // У ничьей разницы нет — множитель не применяется
+  const draw = processMatch(
+    match(2, ['a', 'b'], ['c', 'd'], [15, 15], { marginOfVictory: true }), new Map([['a', 1600]]), new Map()
+  );
+  const plainDraw = processMatch(match(2, ['a', 'b'], ['c', 'd'], [15, 15]), new Map([['a', 1600]]), new Map());
+  assert.deepEqual(draw, plainDraw);
+});
+
+test('параметры сезона матча: начальный рейтинг и K, параметры движка — поверх', () => {
+  const seasonParams = { initialRating: 1000, kFactorNew: 10 };
+  const m = match(1, ['a', 'b'], ['c', 'd'], [15, 5], { eloParams: seasonParams });
+
+  const engine = createEloEngine();
+  const state = engine.createState();
+  engine.update(state, m);
+  assert.equal(state.ratings.get('a'), 1005);
+  assert.equal(state.ratings.get('c'), 995);
+
+  const override = createEloEngine({ kFactorNew: 20 });
+  const overrideState = override.createState();
+  override.update(overrideState, m);
+  assert.equal(overrideState.ratings.get('a'), 1010);
+});
+
+test('processAllMatches: история, калибровка и доля изменения от разницы счёта', () => {
+  const matches = [
+    match(1, ['a', 'b'], ['c', 'd'], [15, 5], { marginOfVictory: true }),
+    match(2, ['a', 'c'], ['b', 'd'], [15, 15])
+  ];
+  const { players } = processAllMatches(matches, { calibrationGames: 2 });
+  const a = players.find(p => p.id === 'a');
+
+  assert.equal(a.gamesPlayed, 2);
+  assert.equal(a.isCalibrated, true);
+  assert.equal(a.ratingHistory.length, 3);
+  assert.equal(a.ratingHistory[1].change, Math.round(40 * Math.log(11) * 0.5));
+  assert.equal(a.ratingHistory[1].marginChange, a.ratingHistory[1].change - 20);
+  assert.equal(a.ratingHistory[2].marginChange, 0);
+  assert.equal(a.currentRating, a.ratingHistory[2].rating);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  INITIAL_RATING, INITIAL_RD, INITIAL_VOLATILITY,
+  updatePlayer, inflateDeviation, calculateTeamRating, createGlickoEngine, processAllMatches
+} from '../src/modules/glicko2.js';
+
+const close = (actual, expected, precision) =>
+  assert.ok(Math.abs(actual - expected) < precision, `${actual} ≠ ${expected} (±${precision})`);
+
+test('пример из статьи Glickman: 1500/200 → 1464.06/151.52, σ′ = 0.05999', () => {
+  const player = { rating: 1500, rd: 200, volatility: 0.06 };
+  const games = [
+    { opponentRating: 1400, opponentRd: 30, score: 1 },
+    { opponentRating: 1550, opponentRd: 100, score: 0 },
+    { opponentRating: 1700, opponentRd: 300, score: 0 }
+  ];
+  const updated = updatePlayer(player, games, 0.5);
+
+  close(updated.rating, 1464.06, 0.01);
+  close(updated.rd, 151.52, 0.01);
+  close(updated.volatility, 0.05999, 0.00001);
+});
+
+test('итерация волатильности: неожиданные результаты её повышают', () => {
+  const player = { rating: 1500, rd: 50, volatility: 0.06 };
+  const upsets = Array.from({ length: 10 }, () => ({ opponentRating: 1900, opponentRd: 50, score: 1 }));
+  const expected = Array.from({ length: 10 }, () => ({ opponentRating: 1100, opponentRd: 50, score: 1 }));
+
+  assert.ok(updatePlayer(player, upsets).volatility > player.volatility);
+  assert.ok(updatePlayer(player, expected).volatility < player.volatility);
+});
+
+test('без игр растёт только отклонение, не выше начального', () => {
+  const player = { rating: 1600, rd: 100, volatility: 0.06 };
+  const idle = updatePlayer(player, []);
+  assert.equal(idle.rating, 1600);
+  assert.ok(idle.rd > 100);
+  assert.equal(inflateDeviation(340, 0.06, 1000), INITIAL_RD);
+});
+
+test('команда: среднее рейтингов и среднеквадратичное отклонений', () => {
+  const team = calculateTeamRating({ rating: 1400, rd: 30 }, { rating: 1600, rd: 40 });
+  assert.equal(team.rating, 1500);
+  close(team.rd, Math.sqrt(1250), 1e-9);
+});
+
+test('игровой день — один рейтинговый период', () => {
+  const engine = createGlickoEngine();
+  const state = engine.createState();
+  const day1 = { id: 1, date: '2025-01-25', team1: ['a', 'b'], team2: ['c', 'd'], winner: 1 };
+  const sameDay = { id: 2, date: '2025-01-25', team1: ['a', 'c'], team2: ['b', 'd'], winner: 1 };
+  const day2 = { id: 3, date: '2025-02-01', team1: ['a', 'b'], team2: ['c', 'd'], winner: 1 };
+
+  engine.update(state, day1);
+  // Результат дня ещё не учтён: прогноз по рейтингам на начало дня
+  assert.equal(engine.expectedScore(state, sameDay), 0.5);
+  assert.equal(state.players.get('a').rating, INITIAL_RATING);
+  engine.update(state, sameDay);
+
+  // Новый день закрывает предыдущий период
+  assert.ok(engine.expectedScore(state, day2) > 0.5);
+  assert.ok(state.players.get('a').rating > INITIAL_RATING);
+  assert.ok(state.players.get('d').rating < INITIAL_RATING);
+});
+
+test('processAllMatches: история по дням, ничья равных не меняет рейтинг', () => {
+  const { players } = processAllMatches([
+    { id: 1, date: '2025-01-25', team1: ['a', 'b'], team2: ['c', 'd'], winner: 0 },
+    { id: 2, date: '2025-01-25', team1: ['a', 'c'], team2: ['b', 'd'], winner: 0 }
+  ]);
+
+  assert.equal(players.length, 4);
+  for (const player of players) {
+    assert.equal(player.currentRating, INITIAL_RATING);
+    assert.ok(player.rd < INITIAL_RD);
+    assert.equal(player.gamesPlayed, 2);
+    assert.equal(player.isCalibrated, false);
+    assert.equal(player.ratingHistory.length, 2);
+    assert.equal(player.ratingHistory[1].games, 2);
+  }
+  close(players[0].volatility, INITIAL_VOLATILITY, 0.001);
+});
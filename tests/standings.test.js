@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateStandings, validateTiebreakers, DEFAULT_TIEBREAKERS } from '../src/modules/standings.js';
+
+const names = standings => standings.map(p => p.name);
+
+test('цепочка тай-брейков проверяется', () => {
+  assert.equal(validateTiebreakers(DEFAULT_TIEBREAKERS), null);
+  assert.match(validateTiebreakers(['headToHead', 'coinFlip']), /coinFlip/);
+  assert.match(validateTiebreakers(['ballsFor', 'ballsFor']), /повторяться/);
+  assert.match(validateTiebreakers('ballsFor'), /массивом/);
+});
+
+test('личные встречи, затем цепочка заново внутри подгрупп', () => {
+  const matches = [
+    { id: 1, team1: ['A', 'X'], team2: ['B', 'Y'], score: [15, 5] },
+    { id: 2, team1: ['B', 'Z'], team2: ['W', 'V'], score: [15, 5] }
+  ];
+  const standings = calculateStandings(matches);
+  const leaders = standings.filter(p => p.italianPoints === 3);
+
+  // A и X обыграли B; у Z соотношение мячей лучше, чем у B
+  assert.deepEqual(names(leaders), ['A', 'X', 'Z', 'B']);
+  assert.equal(leaders[0].tiebreaker.key, 'headToHead');
+  assert.deepEqual(leaders[2].tiebreaker, { key: 'ballRatio', label: 'соотношение мячей', value: '3.000' });
+  assert.deepEqual(leaders[3].tiebreaker, { key: 'ballRatio', label: 'соотношение мячей', value: '1.000' });
+  assert.deepEqual(leaders.map(p => p.place), [1, 2, 3, 4]);
+});
+
+test('порядок критериев задаётся цепочкой сезона', () => {
+  const matches = [
+    { id: 1, team1: ['P', 'P2'], team2: ['L1', 'L2'], score: [15, 0] },
+    { id: 2, team1: ['Q', 'Q2'], team2: ['L3', 'L4'], score: [21, 10] }
+  ];
+  const top = tiebreakers => names(calculateStandings(matches, { tiebreakers })).slice(0, 4);
+
+  assert.deepEqual(top(['ballRatio']), ['P', 'P2', 'Q', 'Q2']);
+  assert.deepEqual(top(['ballsFor']), ['Q', 'Q2', 'P', 'P2']);
+  assert.deepEqual(top(['ballsDiff']), ['P', 'P2', 'Q', 'Q2']);
+});
+
+test('решение организатора; без него — по алфавиту', () => {
+  const matches = [{ id: 1, team1: ['Борисов', 'Андреев'], team2: ['C', 'D'], score: [15, 5] }];
+
+  const alphabetical = calculateStandings(matches);
+  assert.deepEqual(names(alphabetical).slice(0, 2), ['Андреев', 'Борисов']);
+  assert.equal(alphabetical[0].tiebreaker, null);
+
+  const byOrganizer = calculateStandings(matches, { organizerOrder: ['Борисов'] });
+  assert.deepEqual(names(byOrganizer).slice(0, 2), ['Борисов', 'Андреев']);
+  assert.equal(byOrganizer[0].tiebreaker.key, 'organizer');
+  assert.equal(byOrganizer[1].tiebreaker.value, 'не указан');
+});
+
+test('очки по правилам сезона: победа на балансе и ничья', () => {
+  const matches = [
+    { id: 1, team1: ['A', 'B'], team2: ['C', 'D'], score: [15, 13] },
+    { id: 2, team1: ['A', 'C'], team2: ['B', 'D'], score: [15, 15] }
+  ];
+  const rules = { win: 3, balanceWin: 2, balanceLoss: 1, loss: 0, draw: 1, balanceMargin: 2 };
+  const byName = new Map(calculateStandings(matches, { rules }).map(p => [p.name, p]));
+
+  assert.equal(byName.get('A').italianPoints, 3);
+  assert.equal(byName.get('C').italianPoints, 2);
+  assert.equal(byName.get('A').draws, 1);
+  assert.equal(byName.get('A').ballsDiff, 2);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateMatch, validateTournamentData, formatIssue } from '../src/modules/validator.js';
+
+const base = { id: 1, team1: ['A', 'B'], team2: ['C', 'D'], score: [15, 10], referee: 'E' };
+const messages = (issues, severity) => issues.filter(i => i.severity === severity).map(i => i.message);
+
+test('корректный матч без замечаний', () => {
+  assert.deepEqual(validateMatch(base), []);
+  assert.deepEqual(validateMatch({ ...base, score: [22, 20] }), []);
+});
+
+test('состав: два игрока в команде, без повторов, судья не из матча', () => {
+  assert.deepEqual(messages(validateMatch({ ...base, team2: ['C'] }), 'error'), ['в каждой команде должно быть два игрока']);
+  assert.deepEqual(messages(validateMatch({ ...base, team2: ['A', 'D'] }), 'error'), ['игрок «A» указан в матче дважды']);
+  assert.deepEqual(messages(validateMatch({ ...base, referee: ' C ' }), 'error'), ['судья «C» играет в этом же матче']);
+});
+
+test('счёт: ошибка для некорректного, предупреждения для ничьей и невозможного', () => {
+  assert.equal(messages(validateMatch({ ...base, score: [15, -1] }), 'error').length, 1);
+  assert.deepEqual(messages(validateMatch({ ...base, score: [14, 14] }), 'warning'), ['ничья 14:14']);
+  assert.equal(messages(validateMatch({ ...base, score: [15, 14] }), 'warning').length, 1);
+  assert.equal(messages(validateMatch({ ...base, score: [15, 14] }), 'error').length, 0);
+});
+
+test('раунд плей-офф проверяется только в плей-офф', () => {
+  assert.equal(validateMatch({ ...base, round: 'quarter' }).length, 0);
+  assert.equal(messages(validateMatch({ ...base, round: 'quarter' }, true), 'error').length, 1);
+  assert.equal(validateMatch({ ...base, round: '1/4' }, true).length, 0);
+});
+
+test('турнир: дата, повтор номеров, порядок раундов, место в сообщении', () => {
+  const data = {
+    date: '25.01.2025',
+    leagues: [{
+      name: 'Лига',
+      groups: [{ name: 'A', matches: [base, { ...base, score: [15, 15] }] }],
+      playoff: { matches: [{ ...base, id: 10, round: 'final' }, { ...base, id: 11, round: '1/4' }] }
+    }]
+  };
+  const result = validateTournamentData(data);
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors.map(formatIssue), [
+    'турнир: дата должна быть в формате YYYY-MM-DD',
+    'Лига / группа A / матч №1: номер матча 1 повторяется в группе',
+    'Лига / плей-офф / матч №11: раунд «1/4» идёт после «final» (матч №10)'
+  ]);
+  assert.equal(result.warnings.length, 1);
+
+  assert.equal(validateTournamentData({}).valid, false);
+  assert.equal(validateTournamentData({ date: '2025-01-25', leagues: [] }).valid, true);
+});
@@ -20,5 +20,9 @@ export default defineConfig({
     port: 3000,
     host: '127.0.0.1',
     open: true,
+    // API (server/) в режиме разработки
+    proxy: {
+      '/api': 'http://127.0.0.1:3001',
+    },
   },
 });